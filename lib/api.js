@@ -160,6 +160,7 @@ function createApiClient({ fetchFn = fetch, log = console.log } = {}) {
    * @param {string} userId - Philips user ID
    * @param {object} [options] - Fetch options
    * @returns {Promise<object>} Response data
+   * @throws {Error} With status (HTTP status) or apiCode / apiMessage (MxChip meta) set
    */
   async function request(url, userId, options = {}) {
     const token = await getToken(userId);
@@ -175,12 +176,17 @@ function createApiClient({ fetchFn = fetch, log = console.log } = {}) {
 
     if (!response.ok) {
       const text = await response.text();
-      throw new Error(`API error: ${response.status} - ${text}`);
+      const err = new Error(`API error: ${response.status} - ${text}`);
+      err.status = response.status;
+      throw err;
     }
 
     const data = await response.json();
     if (data.meta?.code !== 0) {
-      throw new Error(`API error: ${data.meta?.message}`);
+      const err = new Error(`API error: ${data.meta?.message}`);
+      err.apiCode = data.meta?.code;
+      err.apiMessage = data.meta?.message;
+      throw err;
     }
 
     return data.data;
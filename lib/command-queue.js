@@ -0,0 +1,133 @@
+/**
+ * Offline command queue.
+ * The MQTT client is briefly disconnected on every credential refresh and reconnect. Commands
+ * sent in that window are held per device and published once the device is back, either one by
+ * one in order or merged into a single update with the latest value per field. Commands still
+ * waiting after the TTL are rejected with code QUEUE_EXPIRED.
+ */
+
+const { COMMAND_QUEUE_TTL_MS } = require('./constants');
+
+/**
+ * Create a command queue.
+ * @param {object} [options]
+ * @param {number} [options.ttl] - Time a command may wait for the connection (ms)
+ * @param {boolean} [options.merge=true] - Send queued commands as one update (latest value per
+ *   field) instead of one by one
+ * @param {function} [options.now] - Clock (ms), for tests
+ * @returns {object} Queue with enqueue, flush, size and clear
+ */
+function createCommandQueue({ ttl = COMMAND_QUEUE_TTL_MS, merge = true, now = Date.now } = {}) {
+  const queues = new Map(); // deviceId -> [{ desired, commands, queuedAt, resolve, reject, timer }]
+
+  function remove(deviceId, command) {
+    const queue = queues.get(deviceId) || [];
+    const index = queue.indexOf(command);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+    if (queue.length === 0) {
+      queues.delete(deviceId);
+    }
+  }
+
+  /**
+   * Hold a command until the device is connected again.
+   * @param {string} deviceId - Device ID
+   * @param {object} desired - Desired state (raw DIDs)
+   * @param {object} [options]
+   * @param {number} [options.commands=1] - Commands already merged into desired (scheduler)
+   * @returns {Promise<object>} Resolves with the result of the send function passed to flush;
+   *   rejects with code QUEUE_EXPIRED after the TTL
+   */
+  function enqueue(deviceId, desired, { commands = 1 } = {}) {
+    return new Promise((resolve, reject) => {
+      const command = { desired, commands, queuedAt: now(), resolve, reject, timer: null };
+      command.timer = setTimeout(() => {
+        remove(deviceId, command);
+        const err = new Error(
+          `Command for ${deviceId} expired after ${Math.round(ttl / 1000)}s waiting for the connection`
+        );
+        err.code = 'QUEUE_EXPIRED';
+        err.queuedAt = command.queuedAt;
+        reject(err);
+      }, ttl);
+
+      if (!queues.has(deviceId)) {
+        queues.set(deviceId, []);
+      }
+      queues.get(deviceId).push(command);
+    });
+  }
+
+  /**
+   * Send all commands queued for a device.
+   * @param {string} deviceId - Device ID
+   * @param {function} sendCommand - Async (desired, commands) => result; commands is the number of
+   *   queued commands merged into desired
+   * @returns {Promise<number>} Number of queued commands
+   */
+  async function flush(deviceId, sendCommand) {
+    const commands = queues.get(deviceId) || [];
+    queues.delete(deviceId);
+    commands.forEach(command => clearTimeout(command.timer));
+
+    if (commands.length === 0) {
+      return 0;
+    }
+
+    if (merge) {
+      const desired = Object.assign({}, ...commands.map(command => command.desired));
+      const count = commands.reduce((total, command) => total + command.commands, 0);
+      try {
+        const result = await sendCommand(desired, count);
+        commands.forEach(command => command.resolve(result));
+      } catch (err) {
+        commands.forEach(command => command.reject(err));
+      }
+      return commands.length;
+    }
+
+    for (const command of commands) {
+      try {
+        command.resolve(await sendCommand(command.desired, command.commands));
+      } catch (err) {
+        command.reject(err);
+      }
+    }
+    return commands.length;
+  }
+
+  /**
+   * Number of commands waiting for a device.
+   * @param {string} deviceId - Device ID
+   * @returns {number}
+   */
+  function size(deviceId) {
+    return (queues.get(deviceId) || []).length;
+  }
+
+  /**
+   * Reject all queued commands (on close).
+   */
+  function clear() {
+    for (const commands of queues.values()) {
+      for (const command of commands) {
+        clearTimeout(command.timer);
+        command.reject(new Error('Command queue closed'));
+      }
+    }
+    queues.clear();
+  }
+
+  return {
+    enqueue,
+    flush,
+    size,
+    clear,
+  };
+}
+
+module.exports = {
+  createCommandQueue,
+};
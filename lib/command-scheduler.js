@@ -0,0 +1,114 @@
+/**
+ * Per-device command scheduler.
+ * Dashboard sliders and flapping automations can fire several commands per second. The first
+ * command after a quiet period is published right away; commands arriving within the minimum
+ * interval are coalesced into one desired-state update holding the newest value per field,
+ * published when the interval has passed. Every caller learns how many commands shared its
+ * publish and which values were actually sent. A batch whose slot comes while the device is
+ * offline can be handed over instead of published (see holdCommand).
+ */
+
+const { COMMAND_MIN_INTERVAL_MS } = require('./constants');
+
+/**
+ * Create a command scheduler.
+ * @param {object} options
+ * @param {function} options.sendCommand - Async (deviceId, desired) => result, publishes one update
+ * @param {function} [options.holdCommand] - (deviceId, desired, commands) => promise of the
+ *   outcome of a later publish, or null to publish now; called when a batch's slot comes
+ * @param {number} [options.minInterval] - Minimum time between publishes per device (ms)
+ * @param {function} [options.now] - Clock (ms), for tests
+ * @returns {object} Scheduler with schedule and clear
+ */
+function createCommandScheduler({
+  sendCommand,
+  holdCommand = () => null,
+  minInterval = COMMAND_MIN_INTERVAL_MS,
+  now = Date.now,
+}) {
+  const devices = new Map(); // deviceId -> { lastSentAt, pending: [], timer }
+
+  function getDevice(deviceId) {
+    if (!devices.has(deviceId)) {
+      devices.set(deviceId, { lastSentAt: null, pending: [], timer: null });
+    }
+    return devices.get(deviceId);
+  }
+
+  async function publish(deviceId) {
+    const device = getDevice(deviceId);
+    const batch = device.pending;
+    device.pending = [];
+    device.timer = null;
+
+    const desired = Object.assign({}, ...batch.map(command => command.desired));
+    const coalesced = batch.reduce((count, command) => count + command.commands, 0);
+
+    const held = holdCommand(deviceId, desired, coalesced);
+    if (held) {
+      held.then(
+        outcome => batch.forEach(command => command.resolve(outcome)),
+        err => batch.forEach(command => command.reject(err))
+      );
+      return;
+    }
+
+    const sentAt = now();
+    device.lastSentAt = sentAt;
+
+    try {
+      const result = await sendCommand(deviceId, desired);
+      batch.forEach(command => command.resolve({ result, desired, coalesced, sentAt }));
+    } catch (err) {
+      batch.forEach(command => command.reject(err));
+    }
+  }
+
+  /**
+   * Schedule a command for publishing.
+   * @param {string} deviceId - Device ID
+   * @param {object} desired - Desired state (raw DIDs)
+   * @param {object} [options]
+   * @param {number} [options.commands=1] - Commands already merged into desired (offline queue)
+   * @returns {Promise<{ result: object, desired: object, coalesced: number, sentAt: number }>}
+   *   The publish result, the merged values sent, how many commands shared the publish and when
+   *   it was sent
+   */
+  function schedule(deviceId, desired, { commands = 1 } = {}) {
+    const device = getDevice(deviceId);
+
+    return new Promise((resolve, reject) => {
+      device.pending.push({ desired, commands, resolve, reject });
+      if (device.timer) {
+        return;
+      }
+
+      const wait = device.lastSentAt === null ? 0 : device.lastSentAt + minInterval - now();
+      if (wait <= 0) {
+        publish(deviceId);
+      } else {
+        device.timer = setTimeout(() => publish(deviceId), wait);
+      }
+    });
+  }
+
+  /**
+   * Reject commands waiting for their publish slot (on close).
+   */
+  function clear() {
+    for (const device of devices.values()) {
+      clearTimeout(device.timer);
+      device.pending.forEach(command => command.reject(new Error('Command scheduler closed')));
+    }
+    devices.clear();
+  }
+
+  return {
+    schedule,
+    clear,
+  };
+}
+
+module.exports = {
+  createCommandScheduler,
+};
@@ -0,0 +1,114 @@
+/**
+ * Command confirmation tracking.
+ * update/accepted only means the cloud stored the desired state. A confirmation waits until the
+ * device's reported state matches the requested values, or gives up after a timeout and lists
+ * the values the device never took over (e.g. a fan speed above the model's maximum).
+ */
+
+const { resolvePending } = require('./parser');
+
+/**
+ * Create a confirmation tracker.
+ * @param {object} [options]
+ * @param {function} [options.now] - Clock (ms), for tests
+ * @returns {object} Tracker with wait, check and clear
+ */
+function createConfirmationTracker({ now = Date.now } = {}) {
+  const waiters = new Map(); // deviceId -> Set of { desired, reported, startedAt, resolve, timer }
+
+  function finish(deviceId, waiter, result) {
+    clearTimeout(waiter.timer);
+    waiters.get(deviceId)?.delete(waiter);
+    waiter.resolve(result);
+  }
+
+  /**
+   * Wait until the reported state matches desired values.
+   * @param {string} deviceId - Device ID
+   * @param {object} desired - Desired values (raw DIDs, as sent to the shadow)
+   * @param {object} options
+   * @param {number} options.timeout - Time to wait for the device (ms)
+   * @param {object} [options.reported] - Current reported state (raw), already matching values
+   *   confirm immediately
+   * @param {number} [options.startedAt] - When the command was sent (ms), latency is measured from
+   *   here
+   * @returns {{ promise: Promise<{ applied: boolean, latency: number|null, unmatched: object }>,
+   *   cancel: function }}
+   */
+  function wait(deviceId, desired, { timeout, reported = {}, startedAt = now() }) {
+    if (!waiters.has(deviceId)) {
+      waiters.set(deviceId, new Set());
+    }
+
+    let waiter;
+    const promise = new Promise(resolve => {
+      waiter = { desired, reported, startedAt, resolve, timer: null };
+    });
+
+    if (Object.keys(resolvePending(desired, reported)).length === 0) {
+      waiter.resolve({ applied: true, latency: 0, unmatched: {} });
+      return { promise, cancel: () => {} };
+    }
+
+    waiter.timer = setTimeout(() => {
+      finish(deviceId, waiter, {
+        applied: false,
+        latency: null,
+        unmatched: resolvePending(desired, waiter.reported),
+      });
+    }, timeout);
+    waiters.get(deviceId).add(waiter);
+
+    return {
+      promise,
+      cancel: () => {
+        clearTimeout(waiter.timer);
+        waiters.get(deviceId)?.delete(waiter);
+      },
+    };
+  }
+
+  /**
+   * Check waiting commands against a new reported state.
+   * @param {string} deviceId - Device ID
+   * @param {object} reported - Full reported state (raw DIDs)
+   */
+  function check(deviceId, reported) {
+    for (const waiter of waiters.get(deviceId) || []) {
+      waiter.reported = reported;
+      if (Object.keys(resolvePending(waiter.desired, reported)).length === 0) {
+        finish(deviceId, waiter, {
+          applied: true,
+          latency: now() - waiter.startedAt,
+          unmatched: {},
+        });
+      }
+    }
+  }
+
+  /**
+   * Stop all timers (on close). Waiting commands resolve as not applied.
+   */
+  function clear() {
+    for (const [deviceId, set] of waiters) {
+      for (const waiter of set) {
+        finish(deviceId, waiter, {
+          applied: false,
+          latency: null,
+          unmatched: resolvePending(waiter.desired, waiter.reported),
+        });
+      }
+    }
+    waiters.clear();
+  }
+
+  return {
+    wait,
+    check,
+    clear,
+  };
+}
+
+module.exports = {
+  createConfirmationTracker,
+};
@@ -63,20 +63,50 @@ const PORT_CONTROL = 'Control';
 const PORT_CONFIG = 'Config';
 const PORT_FILTER_READ = 'filtRd';
 
-// Fan speed range (AC3737 has 2 manual speeds, protocol max is 16)
-const FAN_SPEED_MIN = 1;
-const FAN_SPEED_MAX = 2;
-
 // Token refresh buffer (refresh 5 min before expiry)
 const TOKEN_REFRESH_BUFFER_MS = 5 * 60 * 1000;
 
-// MQTT credentials refresh (1 hour validity, refresh at 50 min)
+// MQTT credentials refresh when the presigned URL has no X-Amz expiry (1 hour validity, refresh at 50 min)
 const MQTT_CREDENTIALS_REFRESH_MS = 50 * 60 * 1000;
 
+// Refresh presigned URLs this long before their X-Amz expiry (at most half their lifetime)
+const MQTT_CREDENTIALS_MARGIN_MS = 10 * 60 * 1000;
+
+// Wall-clock check interval for credential expiry (timers stall while the host sleeps)
+const MQTT_CREDENTIALS_CHECK_MS = 30 * 1000;
+
+// Window for batching MQTT info requests from several devices into one API call
+const MQTT_INFO_BATCH_MS = 50;
+
 // Reconnection settings
 const RECONNECT_BASE_MS = 1000;
 const RECONNECT_MAX_MS = 300000;
 
+// Startup retries while the MxChip API is unreachable (exponential backoff)
+const INIT_RETRY_BASE_MS = 5 * 1000;
+const INIT_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Re-read the device list this often (devices added, removed or renamed in the app)
+const DEVICE_REFRESH_INTERVAL_MS = 15 * 60 * 1000;
+
+// Presence: a device without shadow traffic for this long is reported as stale
+const PRESENCE_STALE_MS = 30 * 60 * 1000;
+
+// Confirmed apply: how long to wait for the device to report requested values
+const APPLY_CONFIRM_TIMEOUT_MS = 15 * 1000;
+
+// Offline command queue: how long a command may wait for the device connection
+const COMMAND_QUEUE_TTL_MS = 60 * 1000;
+
+// Command scheduler: minimum time between shadow updates per device (bursts are coalesced)
+const COMMAND_MIN_INTERVAL_MS = 1000;
+
+// Lazy connections: close a device's MQTT client this long after its last use
+const MQTT_IDLE_DISCONNECT_MS = 5 * 60 * 1000;
+
+// Shadow resync after a version gap (at most one shadow/get per device per interval)
+const SHADOW_RESYNC_MIN_INTERVAL_MS = 30 * 1000;
+
 module.exports = {
     // OAuth
     OIDC_ISSUER,
@@ -118,13 +148,21 @@ module.exports = {
     PORT_CONFIG,
     PORT_FILTER_READ,
 
-    // Fan
-    FAN_SPEED_MIN,
-    FAN_SPEED_MAX,
-
     // Timing
     TOKEN_REFRESH_BUFFER_MS,
     MQTT_CREDENTIALS_REFRESH_MS,
+    MQTT_CREDENTIALS_MARGIN_MS,
+    MQTT_CREDENTIALS_CHECK_MS,
+    MQTT_INFO_BATCH_MS,
     RECONNECT_BASE_MS,
     RECONNECT_MAX_MS,
+    INIT_RETRY_BASE_MS,
+    INIT_RETRY_MAX_MS,
+    DEVICE_REFRESH_INTERVAL_MS,
+    PRESENCE_STALE_MS,
+    SHADOW_RESYNC_MIN_INTERVAL_MS,
+    APPLY_CONFIRM_TIMEOUT_MS,
+    COMMAND_QUEUE_TTL_MS,
+    COMMAND_MIN_INTERVAL_MS,
+    MQTT_IDLE_DISCONNECT_MS,
 };
@@ -0,0 +1,157 @@
+/**
+ * MQTT credential provider.
+ * The presigned WebSocket URL in MqttInfo expires after about an hour, so every (re)connect
+ * needs a fresh one from the API. Requests from several devices that arrive close together
+ * share one getMqttInfo call, and a rejected MxChip token triggers a full token refresh.
+ */
+
+const { MQTT_INFO_BATCH_MS } = require('./constants');
+
+// HTTP statuses the MxChip API answers with for an expired or revoked token
+const AUTH_REJECTED_STATUSES = [401, 403];
+
+// Mostly the MxChip API answers HTTP 200 and reports the rejected token in meta. Its codes are
+// undocumented (and unverified here), so the meta message is matched instead
+const AUTH_REJECTED_MESSAGE = /token|jwt|unauthori[sz]ed/i;
+
+/**
+ * Check whether an API error means the MxChip token was rejected.
+ * @param {Error} err - Error from api.request (status or apiCode / apiMessage set)
+ * @returns {boolean} True if a token refresh may help
+ */
+function isAuthRejected(err) {
+  if (AUTH_REJECTED_STATUSES.includes(err.status)) {
+    return true;
+  }
+  return err.apiCode !== undefined && AUTH_REJECTED_MESSAGE.test(err.apiMessage || '');
+}
+
+/**
+ * Create a credential provider.
+ * @param {object} options
+ * @param {function} options.fetchMqttInfo - Async (deviceIds) => MqttInfo[] (api.getMqttInfo)
+ * @param {function} options.refreshAuth - Async function forcing an OAuth + MxChip token refresh
+ * @param {number} [options.batchWindowMs] - Time to collect requests before calling the API
+ * @param {function} [options.log] - Logging function
+ * @returns {object} Provider with getMqttInfo, getMqttInfos and clear
+ */
+function createCredentialProvider({
+  fetchMqttInfo,
+  refreshAuth,
+  batchWindowMs = MQTT_INFO_BATCH_MS,
+  log = () => {},
+}) {
+  let batch = null; // { requests: Map(deviceId -> [{ resolve, reject }]), timer }
+  const primed = new Map(); // deviceId -> MqttInfo fetched but not used yet
+
+  /**
+   * Fetch MQTT info, refreshing tokens once if the API rejects them.
+   * @param {string[]} deviceIds - Device IDs
+   * @returns {Promise<Array<MqttInfo>>}
+   */
+  async function fetchWithRefresh(deviceIds) {
+    try {
+      return await fetchMqttInfo(deviceIds);
+    } catch (err) {
+      if (!isAuthRejected(err)) {
+        throw err;
+      }
+      log(`[credentials] MQTT info rejected (${err.status || err.apiCode}), refreshing tokens`);
+      await refreshAuth();
+      return await fetchMqttInfo(deviceIds);
+    }
+  }
+
+  // Answer every request collected in the current batch with one API call
+  async function flush() {
+    const { requests } = batch;
+    batch = null;
+
+    const deviceIds = Array.from(requests.keys());
+    log(`[credentials] Fetching MQTT info for ${deviceIds.length} device(s)`);
+
+    let infos;
+    try {
+      infos = await fetchWithRefresh(deviceIds);
+    } catch (err) {
+      for (const waiters of requests.values()) {
+        waiters.forEach(waiter => waiter.reject(err));
+      }
+      return;
+    }
+
+    for (const [deviceId, waiters] of requests) {
+      const info = (infos || []).find(candidate => candidate.device_id === deviceId);
+      if (info) {
+        waiters.forEach(waiter => waiter.resolve(info));
+      } else {
+        const err = new Error(`No MQTT info returned for ${deviceId}`);
+        err.code = 'NO_MQTT_INFO';
+        waiters.forEach(waiter => waiter.reject(err));
+      }
+    }
+  }
+
+  /**
+   * Get fresh MQTT info for one device (called on every connect).
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<MqttInfo>}
+   */
+  function getMqttInfo(deviceId) {
+    // Fetched moments ago by getMqttInfos, still fresh
+    if (primed.has(deviceId)) {
+      const info = primed.get(deviceId);
+      primed.delete(deviceId);
+      return Promise.resolve(info);
+    }
+
+    return new Promise((resolve, reject) => {
+      if (!batch) {
+        batch = { requests: new Map(), timer: setTimeout(flush, batchWindowMs) };
+      }
+      if (!batch.requests.has(deviceId)) {
+        batch.requests.set(deviceId, []);
+      }
+      batch.requests.get(deviceId).push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Get MQTT info for several devices in one call.
+   * The results are kept for each device's first getMqttInfo call.
+   * @param {string[]} deviceIds - Device IDs
+   * @returns {Promise<Array<MqttInfo>>}
+   */
+  async function getMqttInfos(deviceIds) {
+    const infos = (await fetchWithRefresh(deviceIds)) || [];
+    for (const info of infos) {
+      primed.set(info.device_id, info);
+    }
+    return infos;
+  }
+
+  /**
+   * Drop pending requests and unused results (on close).
+   */
+  function clear() {
+    if (batch) {
+      clearTimeout(batch.timer);
+      const err = new Error('Credential provider closed');
+      for (const waiters of batch.requests.values()) {
+        waiters.forEach(waiter => waiter.reject(err));
+      }
+      batch = null;
+    }
+    primed.clear();
+  }
+
+  return {
+    getMqttInfo,
+    getMqttInfos,
+    clear,
+  };
+}
+
+module.exports = {
+  createCredentialProvider,
+};
@@ -0,0 +1,63 @@
+/**
+ * Last successfully fetched device list per user.
+ * Persisted to a JSON file ({ userId: { devices, savedAt } }) so the editor's device selectors and
+ * the account node keep working when the MxChip API is unreachable at startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a device list store.
+ * @param {object} options
+ * @param {string} options.file - JSON file path
+ * @param {function} [options.log] - Log function for load/save problems
+ * @returns {object} Store with load and save
+ */
+function createDeviceCacheStore({ file, log = () => {} }) {
+  function read() {
+    try {
+      if (fs.existsSync(file)) {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+      }
+    } catch (err) {
+      log(`Failed to read device list from ${file}: ${err.message}`);
+    }
+    return {};
+  }
+
+  /**
+   * Get the cached device list for a user.
+   * @param {string} userId - User ID
+   * @returns {{ devices: Array<object>, savedAt: string }|null} Cached list, or null if none
+   */
+  function load(userId) {
+    const entry = read()[userId];
+    return entry && Array.isArray(entry.devices) ? entry : null;
+  }
+
+  /**
+   * Store a user's device list (after a successful fetch).
+   * @param {string} userId - User ID
+   * @param {Array<object>} devices - Devices from the API
+   */
+  function save(userId, devices) {
+    const data = read();
+    data[userId] = { devices, savedAt: new Date().toISOString() };
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    } catch (err) {
+      log(`Failed to write device list to ${file}: ${err.message}`);
+    }
+  }
+
+  return {
+    load,
+    save,
+  };
+}
+
+module.exports = {
+  createDeviceCacheStore,
+};
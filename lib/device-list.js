@@ -0,0 +1,36 @@
+/**
+ * Device list changes.
+ * The account node re-reads the device list periodically; comparing it with the previous one
+ * tells which purifiers were added, removed or renamed in the Philips app.
+ */
+
+/**
+ * Compare two device lists (as returned by api.listDevices).
+ * @param {Array<object>} previous - Previous devices ({ id, name, ... })
+ * @param {Array<object>} next - Current devices
+ * @returns {{ added: Array<object>, removed: Array<object>,
+ *   renamed: Array<{ device: object, previousName: string }> }}
+ */
+function diffDevices(previous, next) {
+  const previousById = new Map((previous || []).map(device => [device.id, device]));
+  const nextIds = new Set((next || []).map(device => device.id));
+
+  const added = [];
+  const renamed = [];
+  for (const device of next || []) {
+    const before = previousById.get(device.id);
+    if (!before) {
+      added.push(device);
+    } else if (before.name !== device.name) {
+      renamed.push({ device, previousName: before.name });
+    }
+  }
+
+  const removed = (previous || []).filter(device => !nextIds.has(device.id));
+
+  return { added, removed, renamed };
+}
+
+module.exports = {
+  diffDevices,
+};
@@ -0,0 +1,575 @@
+/**
+ * Declarative field table (DID dictionary).
+ * One entry per protocol field; the parser, the desired-state builder and the editor field list
+ * are all generated from it. See docs/v3-protocol-reference.md for sources.
+ *
+ * Entry keys:
+ * - did: protocol key (D03102, D03-02, pwr)
+ * - name: normalized status / control name (dotted for nested status, e.g. filters.hepa.remaining)
+ * - type: bool, int, number, enum, string; mode and bitmap have dedicated decoders in parser.js
+ * - scale: raw value = normalized value × scale (temperature is reported ×10)
+ * - unit, range: informational, range is [min, max] of the normalized value
+ * - read, write: direction flags
+ * - protocolVersion: 3, 2 or 1
+ * Type-specific keys:
+ * - bool: on/off protocol values
+ * - enum: values (normalized name -> protocol code), fallback name or unknownPrefix
+ * - int/number: format 'string' for protocols that send numbers as strings, capability names the
+ *   capabilities key ({ min, max }) that must exist for the field and clamps written values
+ * - filter: { name, part } for per-filter hours (see parseFilters in parser.js)
+ *
+ * When several entries of a protocol map to the same name, the later one wins on read and the
+ * first writable one is used on write.
+ */
+
+const FIELDS = [
+  // v3 - numeric DIDs with hex suffix
+  {
+    did: 'D03102',
+    name: 'power',
+    type: 'bool',
+    on: 1,
+    off: 0,
+    read: true,
+    write: true,
+    protocolVersion: 3,
+  },
+  { did: 'D0310C', name: 'mode', type: 'mode', read: true, write: true, protocolVersion: 3 },
+  {
+    did: 'D03103',
+    name: 'childLock',
+    type: 'bool',
+    on: 1,
+    off: 0,
+    read: true,
+    write: true,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D03105',
+    name: 'displayLight',
+    type: 'int',
+    unit: '%',
+    range: [0, 100],
+    read: true,
+    write: true,
+    protocolVersion: 3,
+  },
+  // g7/d.java:g1() reads brightness from D0310D, so it takes precedence over D03105 when present
+  {
+    did: 'D0310D',
+    name: 'displayLight',
+    type: 'int',
+    unit: '%',
+    range: [0, 100],
+    read: true,
+    write: false,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D0310A',
+    name: 'function',
+    type: 'enum',
+    // Only "4" is confirmed (g7/d.java:C()); the purify code is unverified, so other codes stay
+    // raw and purify is not written - we do not publish guessed codes
+    values: { purify_humidify: '4' },
+    unknownPrefix: 'function_',
+    read: true,
+    write: true,
+    protocolVersion: 3,
+  },
+  // Heater target temperature (Apollo), unverified DID - see docs
+  // Read-only until the DID is confirmed from app traffic; we do not publish guessed DIDs
+  {
+    did: 'D0310E',
+    name: 'targetTemperature',
+    type: 'int',
+    unit: '°C',
+    capability: 'targetTemperature',
+    read: true,
+    write: false,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D03120',
+    name: 'airQualityIndex',
+    type: 'int',
+    range: [0, 12],
+    read: true,
+    write: false,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D03125',
+    name: 'humidity',
+    type: 'int',
+    unit: '%',
+    range: [0, 100],
+    read: true,
+    write: false,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D03128',
+    name: 'targetHumidity',
+    type: 'int',
+    unit: '%',
+    range: [40, 70],
+    read: true,
+    write: true,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D0312B',
+    name: 'displaySensor',
+    type: 'enum',
+    values: { iai: 0, pm25: 1, humidity: 2 },
+    unknownPrefix: 'sensor_',
+    read: true,
+    write: true,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D03221',
+    name: 'pm25',
+    type: 'int',
+    unit: 'µg/m³',
+    range: [0, 999],
+    read: true,
+    write: false,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D03224',
+    name: 'temperature',
+    type: 'int',
+    scale: 10,
+    unit: '°C',
+    read: true,
+    write: false,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D05102',
+    name: 'filters.status',
+    type: 'bitmap',
+    bits: { prefilter: 0, hepa: 1, wick: 2 },
+    read: true,
+    write: false,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D0520D',
+    name: 'filters.prefilter.remaining',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'prefilter', part: 'remaining' },
+    read: true,
+    write: false,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D0540E',
+    name: 'filters.hepa.remaining',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'hepa', part: 'remaining' },
+    read: true,
+    write: false,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D05408',
+    name: 'filters.hepa.nominal',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'hepa', part: 'nominal' },
+    read: true,
+    write: false,
+    protocolVersion: 3,
+  },
+  {
+    did: 'D05213',
+    name: 'filters.wick.remaining',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'wick', part: 'remaining' },
+    read: true,
+    write: false,
+    protocolVersion: 3,
+  },
+
+  // v2 - dashed DIDs, same numbering as v3 in decimal
+  {
+    did: 'D03-02',
+    name: 'power',
+    type: 'bool',
+    on: 'ON',
+    off: 'OFF',
+    read: true,
+    write: true,
+    protocolVersion: 2,
+  },
+  { did: 'D03-12', name: 'mode', type: 'mode', read: true, write: true, protocolVersion: 2 },
+  {
+    did: 'D03-32',
+    name: 'airQualityIndex',
+    type: 'int',
+    range: [0, 12],
+    read: true,
+    write: false,
+    protocolVersion: 2,
+  },
+  {
+    did: 'D03-33',
+    name: 'pm25',
+    type: 'int',
+    unit: 'µg/m³',
+    range: [0, 999],
+    read: true,
+    write: false,
+    protocolVersion: 2,
+  },
+  {
+    did: 'D03-37',
+    name: 'humidity',
+    type: 'int',
+    unit: '%',
+    range: [0, 100],
+    read: true,
+    write: false,
+    protocolVersion: 2,
+  },
+  {
+    did: 'D03-40',
+    name: 'targetHumidity',
+    type: 'int',
+    unit: '%',
+    range: [40, 70],
+    read: true,
+    write: true,
+    protocolVersion: 2,
+  },
+  {
+    did: 'D05-07',
+    name: 'filters.prefilter.nominal',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'prefilter', part: 'nominal' },
+    read: true,
+    write: false,
+    protocolVersion: 2,
+  },
+  {
+    did: 'D05-08',
+    name: 'filters.hepa.nominal',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'hepa', part: 'nominal' },
+    read: true,
+    write: false,
+    protocolVersion: 2,
+  },
+  {
+    did: 'D05-13',
+    name: 'filters.prefilter.remaining',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'prefilter', part: 'remaining' },
+    read: true,
+    write: false,
+    protocolVersion: 2,
+  },
+  {
+    did: 'D05-14',
+    name: 'filters.hepa.remaining',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'hepa', part: 'remaining' },
+    read: true,
+    write: false,
+    protocolVersion: 2,
+  },
+
+  // v1 - short keys with string values, camelCase aliases some cloud documents use come last
+  {
+    did: 'pwr',
+    name: 'power',
+    type: 'bool',
+    on: '1',
+    off: '0',
+    read: true,
+    write: true,
+    protocolVersion: 1,
+  },
+  { did: 'mode', name: 'mode', type: 'mode', read: true, write: true, protocolVersion: 1 },
+  // "s"/"t" (silent/turbo) are not speeds and are skipped when decoding
+  {
+    did: 'om',
+    name: 'fanSpeed',
+    type: 'int',
+    format: 'string',
+    capability: 'fanSpeed',
+    read: true,
+    write: true,
+    protocolVersion: 1,
+  },
+  {
+    did: 'pm25',
+    name: 'pm25',
+    type: 'int',
+    unit: 'µg/m³',
+    range: [0, 999],
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'rh',
+    name: 'humidity',
+    type: 'int',
+    unit: '%',
+    range: [0, 100],
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'rhset',
+    name: 'targetHumidity',
+    type: 'int',
+    format: 'string',
+    unit: '%',
+    range: [40, 70],
+    read: true,
+    write: true,
+    protocolVersion: 1,
+  },
+  {
+    did: 'temp',
+    name: 'temperature',
+    type: 'int',
+    unit: '°C',
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'iaql',
+    name: 'airQualityIndex',
+    type: 'int',
+    range: [1, 12],
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'wl',
+    name: 'waterLevel',
+    type: 'int',
+    unit: '%',
+    range: [0, 100],
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'cl',
+    name: 'childLock',
+    type: 'bool',
+    on: '1',
+    off: '0',
+    read: true,
+    write: true,
+    protocolVersion: 1,
+  },
+  {
+    did: 'uil',
+    name: 'displayLight',
+    type: 'int',
+    format: 'string',
+    range: [0, 2],
+    read: true,
+    write: true,
+    protocolVersion: 1,
+  },
+  {
+    did: 'fltsts0',
+    name: 'filters.prefilter.remaining',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'prefilter', part: 'remaining' },
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'fltsts1',
+    name: 'filters.hepa.remaining',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'hepa', part: 'remaining' },
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'fltsts2',
+    name: 'filters.wick.remaining',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'wick', part: 'remaining' },
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'fltt0',
+    name: 'filters.prefilter.nominal',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'prefilter', part: 'nominal' },
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'fltt1',
+    name: 'filters.hepa.nominal',
+    type: 'int',
+    unit: 'h',
+    filter: { name: 'hepa', part: 'nominal' },
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  { did: 'fanSpeed', name: 'fanSpeed', type: 'int', read: true, write: false, protocolVersion: 1 },
+  {
+    did: 'humidity',
+    name: 'humidity',
+    type: 'int',
+    unit: '%',
+    range: [0, 100],
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'temperature',
+    name: 'temperature',
+    type: 'number',
+    unit: '°C',
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'airQualityIndex',
+    name: 'airQualityIndex',
+    type: 'int',
+    range: [1, 12],
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'childLock',
+    name: 'childLock',
+    type: 'bool',
+    on: true,
+    off: false,
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+  {
+    did: 'displayLight',
+    name: 'displayLight',
+    type: 'int',
+    range: [0, 2],
+    read: true,
+    write: false,
+    protocolVersion: 1,
+  },
+];
+
+// Cloud-level keys decoded by the parser for every protocol version
+const COMMON_KEYS = [
+  'powerOn',
+  'connected',
+  'productState',
+  'productError',
+  'ncpFirmwareVersion',
+  'hostFirmwareVersion',
+  'timezones',
+];
+
+// Device info and diagnostics that are reported but intentionally not decoded
+// (D01S03 name, D01S04 codename, D01S05 model number)
+const INFO_KEYS = [
+  'D01102',
+  'D01S03',
+  'D01S04',
+  'D01S05',
+  'ProductId',
+  'DeviceId',
+  'StatusType',
+  'ConnectType',
+  'rssi',
+  'free_memory',
+  'Runtime',
+];
+
+/**
+ * Get the field entries for a protocol version, in table order.
+ * @param {number} protocolVersion - 3, 2 or 1
+ * @returns {object[]} Field entries
+ */
+function getFields(protocolVersion) {
+  return FIELDS.filter(field => field.protocolVersion === protocolVersion);
+}
+
+/**
+ * Check whether a reported key is known (decoded, or deliberately ignored) for a protocol.
+ * @param {string} key - Reported key
+ * @param {number|null} protocolVersion - Detected protocol version
+ * @returns {boolean} True if the key is known
+ */
+function isKnownKey(key, protocolVersion) {
+  return (
+    COMMON_KEYS.includes(key) ||
+    INFO_KEYS.includes(key) ||
+    FIELDS.some(field => field.protocolVersion === protocolVersion && field.did === key)
+  );
+}
+
+/**
+ * Machine-readable field list (for the editor and docs).
+ * Every entry carries the full set of keys so consumers do not need to know the defaults.
+ * @param {object} [options]
+ * @param {number} [options.protocolVersion] - Only list fields of this protocol version
+ * @returns {object[]} Field descriptions
+ */
+function listFields({ protocolVersion } = {}) {
+  return FIELDS.filter(field => !protocolVersion || field.protocolVersion === protocolVersion).map(
+    field => ({
+      did: field.did,
+      name: field.name,
+      type: field.type,
+      scale: field.scale || 1,
+      unit: field.unit || null,
+      range: field.range ? [...field.range] : null,
+      values: field.values ? Object.keys(field.values) : null,
+      read: field.read,
+      write: field.write,
+      protocolVersion: field.protocolVersion,
+    })
+  );
+}
+
+module.exports = {
+  FIELDS,
+  getFields,
+  isKnownKey,
+  listFields,
+};
@@ -0,0 +1,78 @@
+/**
+ * Field freshness.
+ * Compares the per-field last-updated times in status.updatedAt (and filters.<name>.updatedAt)
+ * against a maximum age, so a sensor that stopped reporting shows up as stale even while other
+ * fields keep changing.
+ */
+
+// "600" for every field, "pm25=300, humidity=900" per field, or both ("600, pm25=300")
+const ENTRY_PATTERN = /^(?:([A-Za-z][\w.]*)\s*=\s*)?(\d+)$/;
+
+/**
+ * Parse a maxAge setting.
+ * @param {string|number} text - Seconds for every field and/or comma-separated name=seconds pairs
+ * @returns {{ all: number|null, fields: object }|null} Max ages in ms, or null if not set
+ * @throws {Error} If an entry is not a whole number of seconds
+ */
+function parseMaxAge(text) {
+  const value = text === undefined || text === null ? '' : String(text).trim();
+  if (value === '') {
+    return null;
+  }
+
+  const maxAge = { all: null, fields: {} };
+  for (const entry of value.split(',')) {
+    const match = entry.trim().match(ENTRY_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid maxAge entry "${entry.trim()}" (expected seconds or name=seconds)`);
+    }
+    const ms = parseInt(match[2], 10) * 1000;
+    if (match[1]) {
+      maxAge.fields[match[1]] = ms;
+    } else {
+      maxAge.all = ms;
+    }
+  }
+  return maxAge;
+}
+
+/**
+ * Find fields older than their maximum age.
+ * Filters are named filters.<name> and also match a plain "filters" entry.
+ * @param {object} status - Normalized device status
+ * @param {{ all: number|null, fields: object }|null} maxAge - Parsed maxAge (see parseMaxAge)
+ * @param {number} [now] - Current time in ms
+ * @returns {string[]} Stale field names
+ */
+function findStaleFields(status, maxAge, now = Date.now()) {
+  if (!status || !maxAge) {
+    return [];
+  }
+
+  const times = { ...status.updatedAt };
+  for (const [name, filter] of Object.entries(status.filters || {})) {
+    if (filter.updatedAt !== undefined) {
+      times[`filters.${name}`] = filter.updatedAt;
+    }
+  }
+
+  const stale = [];
+  for (const [name, time] of Object.entries(times)) {
+    let limit = maxAge.fields[name];
+    if (limit === undefined && name.startsWith('filters.')) {
+      limit = maxAge.fields.filters;
+    }
+    if (limit === undefined) {
+      limit = maxAge.all;
+    }
+    if (limit !== null && limit !== undefined && now - time > limit) {
+      stale.push(name);
+    }
+  }
+  return stale;
+}
+
+module.exports = {
+  parseMaxAge,
+  findStaleFields,
+};
@@ -0,0 +1,75 @@
+/**
+ * Per-device record of reported keys that have been seen before.
+ * Persisted to a JSON file ({ deviceId: [key, ...] }) so new-field notices are only raised once
+ * per device, even across restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a known-fields store.
+ * @param {object} options
+ * @param {string} options.file - JSON file path
+ * @param {function} [options.log] - Log function for load/save problems
+ * @returns {object} Store
+ */
+function createKnownFieldsStore({ file, log = () => {} }) {
+  let seen = null; // deviceId -> Set of keys, loaded lazily
+
+  function load() {
+    if (seen) return seen;
+    seen = new Map();
+    try {
+      if (fs.existsSync(file)) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        for (const [deviceId, keys] of Object.entries(data)) {
+          seen.set(deviceId, new Set(keys));
+        }
+      }
+    } catch (err) {
+      log(`Failed to read known fields from ${file}: ${err.message}`);
+    }
+    return seen;
+  }
+
+  function save() {
+    const data = {};
+    for (const [deviceId, keys] of seen) {
+      data[deviceId] = Array.from(keys).sort();
+    }
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    } catch (err) {
+      log(`Failed to write known fields to ${file}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Record keys for a device.
+   * @param {string} deviceId - Device ID
+   * @param {string[]} keys - Reported keys
+   * @returns {string[]} Keys not seen before for this device
+   */
+  function markSeen(deviceId, keys) {
+    const store = load();
+    const deviceKeys = store.get(deviceId) || new Set();
+    const added = keys.filter(key => !deviceKeys.has(key));
+
+    if (added.length > 0) {
+      added.forEach(key => deviceKeys.add(key));
+      store.set(deviceId, deviceKeys);
+      save();
+    }
+    return added;
+  }
+
+  return {
+    markSeen,
+  };
+}
+
+module.exports = {
+  createKnownFieldsStore,
+};
@@ -0,0 +1,203 @@
+/**
+ * Per-model capability registry.
+ * Declares supported modes, fan speed range, humidity presets, functions (purify vs.
+ * purify + humidify), heater controls and sensors for each device family.
+ * Looked up by model number (parseDevice().model, e.g. "AC3737/10") or codename
+ * (parseDevice().type / reported D01S04, e.g. "Carnation").
+ */
+
+// Mode codes per protocol version. Manual fan speeds are encoded separately (see parser.js).
+// Models with their own table (modeCodes in MODELS) replace these entirely.
+const PROTOCOL_MODE_CODES = {
+  // v3: D0310C numeric codes, manual speeds are 1-16
+  3: { auto: 0, sleep: 17, turbo: 18 },
+  // v2: D03-12 strings, manual speeds are "Gentle/Speed 1", "Speed 2", ...
+  2: { auto: 'Auto General', sleep: 'Sleep', turbo: 'Turbo' },
+  // v1: mode letters, manual speed is a separate "om" key
+  1: { auto: 'A', sleep: 'S', turbo: 'T', manual: 'M' },
+};
+
+// Fan speed range the protocol can express (used for unknown models)
+const PROTOCOL_FAN_SPEED = {
+  3: { min: 1, max: 16 },
+  2: { min: 1, max: 3 },
+  1: { min: 1, max: 18 },
+};
+
+const DEFAULT_PROTOCOL_VERSION = 3;
+const HUMIDITY_PRESETS = [40, 50, 60, 70];
+const HUMIDIFIER_FUNCTIONS = ['purify', 'purify_humidify'];
+const PURIFIER_SENSORS = ['pm25', 'airQualityIndex'];
+
+/**
+ * Known device families.
+ * Carnation is verified against the decompiled app (g7/d.java); the others follow the
+ * codenames routed in f7/a.java with conservative ranges for their product line.
+ */
+const MODELS = [
+  {
+    codename: 'Carnation',
+    models: ['AC3737'],
+    description: 'Purifier + humidifier',
+    protocolVersion: 3,
+    // AC3737 hardware has 2 manual speeds; the device ignores higher codes
+    fanSpeed: { min: 1, max: 2 },
+    humidityPresets: HUMIDITY_PRESETS,
+    functions: HUMIDIFIER_FUNCTIONS,
+    sensors: [...PURIFIER_SENSORS, 'humidity', 'temperature'],
+  },
+  {
+    codename: 'Apollo',
+    models: ['CX5120'],
+    description: 'Heater + purifier',
+    protocolVersion: 3,
+    // Replaces the shared v3 table (g7/b.java): heater levels and fan-only instead of sleep/turbo
+    modeCodes: { auto: 0, heat_high: 65, heat_low: 66, fan: 127 },
+    heatingModes: ['heat_high', 'heat_low'],
+    fanSpeed: null,
+    targetTemperature: { min: 1, max: 37 },
+    humidityPresets: [],
+    sensors: ['temperature'],
+  },
+  {
+    codename: 'Pegasus',
+    models: [],
+    description: 'Purifier',
+    protocolVersion: 3,
+    fanSpeed: { min: 1, max: 3 },
+    humidityPresets: [],
+    sensors: PURIFIER_SENSORS,
+  },
+  {
+    codename: 'Stargazer',
+    models: [],
+    description: 'Purifier',
+    protocolVersion: 3,
+    fanSpeed: { min: 1, max: 3 },
+    humidityPresets: [],
+    sensors: [...PURIFIER_SENSORS, 'humidity', 'temperature'],
+  },
+  {
+    codename: 'Trident',
+    models: [],
+    description: 'Purifier',
+    protocolVersion: 3,
+    fanSpeed: { min: 1, max: 3 },
+    humidityPresets: [],
+    sensors: PURIFIER_SENSORS,
+  },
+  {
+    codename: 'Pluto',
+    models: [],
+    description: 'Humidifier',
+    protocolVersion: 3,
+    fanSpeed: { min: 1, max: 3 },
+    humidityPresets: HUMIDITY_PRESETS,
+    sensors: ['humidity', 'temperature'],
+  },
+  {
+    codename: 'Mars3000',
+    models: [],
+    description: 'Purifier (3000 series)',
+    protocolVersion: 2,
+    fanSpeed: { min: 1, max: 3 },
+    humidityPresets: [],
+    sensors: PURIFIER_SENSORS,
+  },
+  {
+    codename: 'Mars4000',
+    models: [],
+    description: 'Purifier (4000 series)',
+    protocolVersion: 2,
+    fanSpeed: { min: 1, max: 3 },
+    humidityPresets: [],
+    sensors: PURIFIER_SENSORS,
+  },
+  {
+    codename: 'MarsLE',
+    models: [],
+    description: 'Purifier (2000 series)',
+    protocolVersion: 2,
+    fanSpeed: { min: 1, max: 2 },
+    humidityPresets: [],
+    sensors: PURIFIER_SENSORS,
+  },
+];
+
+/**
+ * Strip region suffix from a model number ("AC3737/10" -> "AC3737").
+ * @param {string} model - Model number from device info
+ * @returns {string} Base model number (upper case)
+ */
+function baseModel(model) {
+  return String(model || '')
+    .split('/')[0]
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Find the registry entry for a device.
+ * @param {object} device
+ * @param {string} [device.model] - Model number (e.g. "AC3737/10")
+ * @param {string} [device.codename] - Codename (e.g. "Carnation")
+ * @returns {object|null} Registry entry or null for unknown devices
+ */
+function findModel({ model, codename } = {}) {
+  const base = baseModel(model);
+  if (base) {
+    const byModel = MODELS.find(entry => entry.models.includes(base));
+    if (byModel) return byModel;
+  }
+
+  const name = String(codename || '').toLowerCase();
+  if (name) {
+    const byCodename = MODELS.find(entry => entry.codename.toLowerCase() === name);
+    if (byCodename) return byCodename;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve full capabilities for a device.
+ * Unknown devices get the protocol defaults (every mode, protocol fan speed range).
+ * @param {object} [device]
+ * @param {string} [device.model] - Model number (e.g. "AC3737/10")
+ * @param {string} [device.codename] - Codename (e.g. "Carnation")
+ * @param {number} [device.protocolVersion] - Protocol version detected from reported state
+ * @returns {object} Capabilities
+ */
+function getCapabilities({ model, codename, protocolVersion } = {}) {
+  const entry = findModel({ model, codename });
+  const version = entry?.protocolVersion || protocolVersion || DEFAULT_PROTOCOL_VERSION;
+  const fanSpeed = entry ? entry.fanSpeed : PROTOCOL_FAN_SPEED[version];
+  const modeCodes = { ...(entry?.modeCodes || PROTOCOL_MODE_CODES[version]) };
+
+  const modes = Object.keys(modeCodes);
+  if (fanSpeed && !modes.includes('manual')) {
+    modes.push('manual');
+  }
+
+  return {
+    codename: entry?.codename || null,
+    description: entry?.description || null,
+    known: Boolean(entry),
+    protocolVersion: version,
+    modes,
+    modeCodes,
+    fanSpeed: fanSpeed ? { ...fanSpeed } : null,
+    heatingModes: entry?.heatingModes ? [...entry.heatingModes] : [],
+    targetTemperature: entry?.targetTemperature ? { ...entry.targetTemperature } : null,
+    humidityPresets: [...(entry ? entry.humidityPresets : HUMIDITY_PRESETS)],
+    functions: [...(entry ? entry.functions || [] : HUMIDIFIER_FUNCTIONS)],
+    sensors: entry ? [...entry.sensors] : [...PURIFIER_SENSORS, 'humidity', 'temperature'],
+  };
+}
+
+module.exports = {
+  MODELS,
+  PROTOCOL_MODE_CODES,
+  findModel,
+  getCapabilities,
+};
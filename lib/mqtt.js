@@ -4,6 +4,7 @@
  * Implements AWS IoT Device Shadow protocol for device control.
  */
 
+const crypto = require('crypto');
 const mqtt = require('mqtt');
 const { circuitBreaker, handleAll, ConsecutiveBreaker, BrokenCircuitError } = require('cockatiel');
 const {
@@ -17,8 +18,13 @@ const {
   RECONNECT_BASE_MS,
   RECONNECT_MAX_MS,
   MQTT_CREDENTIALS_REFRESH_MS,
+  MQTT_CREDENTIALS_MARGIN_MS,
+  MQTT_CREDENTIALS_CHECK_MS,
 } = require('./constants');
 
+// SigV4 timestamp, e.g. 20250101T120000Z
+const AMZ_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/;
+
 /**
  * Replace {deviceId} placeholder in topic template.
  * @param {string} template - Topic template with {deviceId}
@@ -29,11 +35,34 @@ function formatTopic(template, deviceId) {
   return template.replace('{deviceId}', deviceId);
 }
 
+/**
+ * Read the expiry of a presigned URL from its X-Amz-Date and X-Amz-Expires parameters.
+ * @param {string} url - Presigned WebSocket URL (mqttInfo.host)
+ * @returns {number|null} Expiry in ms since epoch, or null if the URL does not carry one
+ */
+function parsePresignedExpiry(url) {
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch {
+    return null;
+  }
+
+  const match = (params.get('X-Amz-Date') || '').match(AMZ_DATE_PATTERN);
+  const expires = parseInt(params.get('X-Amz-Expires'), 10);
+  if (!match || Number.isNaN(expires)) {
+    return null;
+  }
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute, second) + expires * 1000;
+}
+
 /**
  * Create an MQTT client for Philips Air+ devices.
  * @param {object} options
  * @param {function} options.getMqttInfo - Async function returning MqttInfo from API
- * @param {function} [options.onStateChange] - Callback for device state changes (deviceId, state)
+ * @param {function} [options.onStateChange] - State callback (deviceId, state, type, document)
  * @param {function} [options.onConnect] - Callback when connected
  * @param {function} [options.onDisconnect] - Callback when disconnected
  * @param {function} [options.onError] - Callback for errors
@@ -55,11 +84,13 @@ function createMqttClient({
   let currentMqttInfo = null;
   let reconnectAttempts = 0;
   let reconnectTimer = null;
-  let credentialsRefreshTimer = null;
+  let credentialsRefreshTimer = null; // Wall-clock expiry check (setInterval)
+  let credentialsExpireAt = null; // Presigned URL expiry (ms), null if unknown
   let authorizedDeviceId = null; // Device ID from MQTT credentials (presigned URL)
   let isIntentionalDisconnect = false; // Flag to suppress auto-reconnect during credential refresh
+  let resyncOnSubscribe = false; // Fetch the full shadow once topics are subscribed after connecting
   const subscribedDevices = new Set(); // Devices requested by status nodes
-  const pendingRequests = new Map(); // requestId -> { resolve, reject, timeout }
+  const pendingRequests = new Map(); // clientToken -> { type, deviceId, resolve, reject, ... }
   let lastConnectedAt = null; // Timestamp of last successful connection
   let lastDisconnectedAt = null; // Timestamp of last disconnect
   let firstFailureAt = null; // Timestamp of first failure in current failure sequence
@@ -140,65 +171,113 @@ function createMqttClient({
 
     // Handle shadow/get/accepted - response to state request
     if (topic.endsWith('/shadow/get/accepted')) {
-      const requestId = `get:${deviceId}`;
-      const pending = pendingRequests.get(requestId);
+      const pending = takePending('get', deviceId, data);
       if (pending) {
-        clearTimeout(pending.timeout);
-        pendingRequests.delete(requestId);
         pending.resolve(data);
       }
       // Also emit state change
       if (onStateChange && data.state?.reported) {
-        onStateChange(deviceId, data.state.reported, 'reported');
+        const type = pending?.resync ? 'resync' : 'reported';
+        onStateChange(deviceId, data.state.reported, type, data);
       }
     }
 
     // Handle shadow/get/rejected
     else if (topic.endsWith('/shadow/get/rejected')) {
-      const requestId = `get:${deviceId}`;
-      const pending = pendingRequests.get(requestId);
+      const pending = takePending('get', deviceId, data);
       if (pending) {
-        clearTimeout(pending.timeout);
-        pendingRequests.delete(requestId);
-        pending.reject(new Error(data.message || 'Shadow get rejected'));
+        pending.reject(shadowRejectedError(data, 'Shadow get rejected'));
       }
     }
 
     // Handle shadow/update/accepted
     else if (topic.endsWith('/shadow/update/accepted')) {
-      const requestId = `update:${deviceId}`;
-      const pending = pendingRequests.get(requestId);
+      const pending = takePending('update', deviceId, data);
       if (pending) {
-        clearTimeout(pending.timeout);
-        pendingRequests.delete(requestId);
         pending.resolve(data);
       }
+      // Every shadow update lands here (device reports and our own commands)
+      if (onStateChange && data.state) {
+        onStateChange(deviceId, data.state, 'update', data);
+      }
     }
 
     // Handle shadow/update/rejected
     else if (topic.endsWith('/shadow/update/rejected')) {
-      const requestId = `update:${deviceId}`;
-      const pending = pendingRequests.get(requestId);
+      const pending = takePending('update', deviceId, data);
       if (pending) {
-        clearTimeout(pending.timeout);
-        pendingRequests.delete(requestId);
-        pending.reject(new Error(data.message || 'Shadow update rejected'));
+        pending.reject(shadowRejectedError(data, 'Shadow update rejected'));
       }
     }
 
     // Handle shadow/update/delta - server pushed state changes
     else if (topic.endsWith('/shadow/update/delta')) {
       if (onStateChange && data.state) {
-        onStateChange(deviceId, data.state, 'delta');
+        onStateChange(deviceId, data.state, 'delta', data);
       }
     }
   }
 
+  /**
+   * Remove and return the request a shadow response answers.
+   * Responses are matched by the clientToken AWS echoes back.
+   * @param {string} type - 'get' or 'update'
+   * @param {string} deviceId - Device ID from the topic
+   * @param {object} data - Response document
+   * @returns {object|null} Pending request
+   */
+  function takePending(type, deviceId, data) {
+    const token = data.clientToken;
+    const pending = token ? pendingRequests.get(token) : null;
+    if (!pending || pending.type !== type || pending.deviceId !== deviceId) {
+      return null; // Another client's request, or one that already timed out
+    }
+    clearTimeout(pending.timeout);
+    pendingRequests.delete(token);
+    return pending;
+  }
+
+  /**
+   * Create an error for a rejected shadow request.
+   * @param {object} data - Rejection document ({ code, message, clientToken })
+   * @param {string} fallbackMessage - Message when AWS sent none
+   * @returns {Error} Error with code SHADOW_REJECTED and the AWS code in awsCode
+   */
+  function shadowRejectedError(data, fallbackMessage) {
+    const err = new Error(data.message || fallbackMessage);
+    err.code = 'SHADOW_REJECTED';
+    err.awsCode = data.code;
+    return err;
+  }
+
+  /**
+   * Track a shadow request until its response arrives.
+   * @param {string} type - 'get' or 'update'
+   * @param {string} deviceId - Device ID
+   * @param {number} timeoutMs - Request timeout
+   * @param {object} [extra] - Additional request state (e.g. resync)
+   * @returns {{ clientToken: string, promise: Promise<object> }}
+   */
+  function trackRequest(type, deviceId, timeoutMs, extra = {}) {
+    const clientToken = crypto.randomUUID();
+    const promise = new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        pendingRequests.delete(clientToken);
+        reject(new Error('Request timeout'));
+      }, timeoutMs);
+
+      pendingRequests.set(clientToken, { type, deviceId, resolve, reject, timeout, ...extra });
+    });
+    return { clientToken, promise };
+  }
+
   function handleConnect() {
     connected = true;
     reconnectAttempts = 0;
     lastConnectedAt = Date.now();
     firstFailureAt = null; // Clear failure tracking on success
+    // Anything may have changed while offline (app, physical buttons)
+    resyncOnSubscribe = true;
 
     const disconnectedDuration = lastDisconnectedAt
       ? Math.round((Date.now() - lastDisconnectedAt) / 1000)
@@ -286,27 +365,69 @@ function createMqttClient({
   }
 
   function scheduleCredentialsRefresh() {
-    if (credentialsRefreshTimer) {
-      clearTimeout(credentialsRefreshTimer);
+    stopCredentialsRefresh();
+
+    const now = Date.now();
+    credentialsExpireAt = parsePresignedExpiry(currentMqttInfo?.host);
+    let refreshAt;
+    if (credentialsExpireAt && credentialsExpireAt > now) {
+      const margin = Math.min(MQTT_CREDENTIALS_MARGIN_MS, (credentialsExpireAt - now) / 2);
+      refreshAt = credentialsExpireAt - margin;
+      log(`[mqtt] Credentials expire at ${new Date(credentialsExpireAt).toISOString()}`);
+    } else {
+      if (credentialsExpireAt) {
+        // We just connected with it, so the local clock is off - fall back to a fixed lifetime
+        log('[mqtt] Presigned URL expiry is in the past (clock skew?), using default lifetime');
+        credentialsExpireAt = null;
+      }
+      refreshAt = now + MQTT_CREDENTIALS_REFRESH_MS;
     }
 
-    credentialsRefreshTimer = setTimeout(async () => {
-      credentialsRefreshTimer = null;
-      log('[mqtt] Refreshing MQTT credentials (presigned URL expired)');
-      try {
-        // Reconnect with fresh credentials
-        await reconnect();
-        log('[mqtt] Credentials refreshed successfully');
-      } catch (err) {
-        log('[mqtt] Credential refresh failed, scheduling reconnect');
-        handleError(err, {
-          recoverable: true,
-          attempts: reconnectAttempts,
-          nextRetryAt: Date.now() + RECONNECT_BASE_MS,
-        });
-        scheduleReconnect();
+    // Compare against the wall clock on every tick: a single long setTimeout fires late
+    // after the host was suspended, when the presigned URL has long expired
+    let lastCheckAt = now;
+    credentialsRefreshTimer = setInterval(() => {
+      const checkAt = Date.now();
+      const drift = checkAt - lastCheckAt - MQTT_CREDENTIALS_CHECK_MS;
+      lastCheckAt = checkAt;
+      if (drift > MQTT_CREDENTIALS_CHECK_MS) {
+        log(`[mqtt] Timer ran ${Math.round(drift / 1000)}s late (host suspended or clock jump)`);
       }
-    }, MQTT_CREDENTIALS_REFRESH_MS);
+
+      // While disconnected, scheduleReconnect fetches fresh credentials anyway
+      if (!connected || checkAt < refreshAt) return;
+
+      if (credentialsExpireAt && checkAt >= credentialsExpireAt) {
+        log('[mqtt] MQTT credentials already expired, reconnecting now');
+      } else {
+        log('[mqtt] Refreshing MQTT credentials (presigned URL expiring)');
+      }
+      refreshCredentials();
+    }, MQTT_CREDENTIALS_CHECK_MS);
+  }
+
+  function stopCredentialsRefresh() {
+    if (credentialsRefreshTimer) {
+      clearInterval(credentialsRefreshTimer);
+      credentialsRefreshTimer = null;
+    }
+  }
+
+  async function refreshCredentials() {
+    stopCredentialsRefresh();
+    try {
+      // Reconnect with fresh credentials
+      await reconnect();
+      log('[mqtt] Credentials refreshed successfully');
+    } catch (err) {
+      log('[mqtt] Credential refresh failed, scheduling reconnect');
+      handleError(err, {
+        recoverable: true,
+        attempts: reconnectAttempts,
+        nextRetryAt: Date.now() + RECONNECT_BASE_MS,
+      });
+      scheduleReconnect();
+    }
   }
 
   function subscribeToDeviceTopics(deviceId) {
@@ -320,6 +441,7 @@ function createMqttClient({
       formatTopic(TOPIC_SHADOW_UPDATE_DELTA, deviceId),
     ];
 
+    let remaining = topics.length;
     for (const topic of topics) {
       log(`[mqtt] Subscribing to: ${topic}`);
       client.subscribe(topic, { qos: 1 }, (err, granted) => {
@@ -328,10 +450,23 @@ function createMqttClient({
         } else if (granted) {
           log(`[mqtt] Subscribed: ${granted.map(g => g.topic).join(', ')}`);
         }
+        // Request the shadow only after SUBACK, or the get/accepted response is lost
+        remaining--;
+        if (remaining === 0 && resyncOnSubscribe && connected) {
+          resyncOnSubscribe = false;
+          resyncDevice(deviceId);
+        }
       });
     }
   }
 
+  function resyncDevice(deviceId) {
+    log(`[mqtt] Requesting full shadow for ${deviceId} after connect`);
+    getDeviceState(deviceId, 10000, { resync: true }).catch(err => {
+      log(`[mqtt] Resync failed for ${deviceId}: ${err.message}`);
+    });
+  }
+
   function unsubscribeFromDeviceTopics(deviceId) {
     if (!client || !connected) return;
 
@@ -462,10 +597,7 @@ function createMqttClient({
       clearTimeout(reconnectTimer);
       reconnectTimer = null;
     }
-    if (credentialsRefreshTimer) {
-      clearTimeout(credentialsRefreshTimer);
-      credentialsRefreshTimer = null;
-    }
+    stopCredentialsRefresh();
 
     // Reject all pending requests
     for (const [, pending] of pendingRequests) {
@@ -505,35 +637,21 @@ function createMqttClient({
    * Get current device state from shadow.
    * @param {string} deviceId - Device ID
    * @param {number} [timeoutMs=10000] - Request timeout
+   * @param {object} [options]
+   * @param {boolean} [options.resync=false] - Emit the response as 'resync' instead of 'reported'
    * @returns {Promise<object>} Shadow document
    */
-  function getDeviceState(deviceId, timeoutMs = 10000) {
+  function getDeviceState(deviceId, timeoutMs = 10000, { resync = false } = {}) {
     if (!connected || !client) {
       return Promise.reject(new Error('Not connected'));
     }
 
-    const requestId = `get:${deviceId}`;
-
-    // Cancel any existing request for this device
-    // Resolve (not reject) since the caller will get data via subscription anyway
-    const existing = pendingRequests.get(requestId);
-    if (existing) {
-      clearTimeout(existing.timeout);
-      existing.resolve(null); // Null indicates superseded - data will come via subscription
-    }
-
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        pendingRequests.delete(requestId);
-        reject(new Error('Request timeout'));
-      }, timeoutMs);
-
-      pendingRequests.set(requestId, { resolve, reject, timeout });
+    const { clientToken, promise } = trackRequest('get', deviceId, timeoutMs, { resync });
 
-      // Publish to shadow/get to request state
-      const topic = formatTopic(TOPIC_SHADOW_GET, deviceId);
-      client.publish(topic, '{}', { qos: 1 });
-    });
+    // Publish to shadow/get to request state
+    const topic = formatTopic(TOPIC_SHADOW_GET, deviceId);
+    client.publish(topic, JSON.stringify({ clientToken }), { qos: 1 });
+    return promise;
   }
 
   /**
@@ -541,41 +659,28 @@ function createMqttClient({
    * @param {string} deviceId - Device ID
    * @param {object} desiredState - Desired state properties
    * @param {number} [timeoutMs=10000] - Request timeout
-   * @returns {Promise<object>} Updated shadow document
+   * @returns {Promise<object>} Updated shadow document; rejects with code SHADOW_REJECTED and the
+   *   AWS error code (awsCode) and message if the shadow service refuses the update
    */
   function updateDeviceState(deviceId, desiredState, timeoutMs = 10000) {
     if (!connected || !client) {
       return Promise.reject(new Error('Not connected'));
     }
 
-    const requestId = `update:${deviceId}`;
+    // Concurrent updates each get their own accepted/rejected outcome
+    const { clientToken, promise } = trackRequest('update', deviceId, timeoutMs);
 
-    // Cancel any existing request for this device
-    // Resolve (not reject) since multiple concurrent updates are normal
-    const existing = pendingRequests.get(requestId);
-    if (existing) {
-      clearTimeout(existing.timeout);
-      existing.resolve(null); // Null indicates superseded - newer update takes precedence
-    }
-
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        pendingRequests.delete(requestId);
-        reject(new Error('Request timeout'));
-      }, timeoutMs);
-
-      pendingRequests.set(requestId, { resolve, reject, timeout });
-
-      // Publish desired state to shadow/update
-      const topic = formatTopic(TOPIC_SHADOW_UPDATE, deviceId);
-      const payload = JSON.stringify({
-        state: {
-          desired: desiredState,
-        },
-      });
-      vlog(`[mqtt] Publishing to ${topic}: ${payload}`);
-      client.publish(topic, payload, { qos: 1 });
+    // Publish desired state to shadow/update
+    const topic = formatTopic(TOPIC_SHADOW_UPDATE, deviceId);
+    const payload = JSON.stringify({
+      state: {
+        desired: desiredState,
+      },
+      clientToken,
     });
+    vlog(`[mqtt] Publishing to ${topic}: ${payload}`);
+    client.publish(topic, payload, { qos: 1 });
+    return promise;
   }
 
   return {
@@ -595,4 +700,5 @@ function createMqttClient({
 module.exports = {
   createMqttClient,
   formatTopic,
+  parsePresignedExpiry,
 };
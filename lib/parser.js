@@ -1,28 +1,199 @@
 /**
  * Parser for Philips Air+ AWS IoT Shadow messages.
  * Converts shadow state to normalized status format.
- * V3 protocol only - supports AC3737 and other v3 devices.
+ * Supports v3 (AC3737 and newer), v2 (dashed DIDs, e.g. Mars series) and v1 (legacy
+ * short keys like pwr, om) devices.
+ * Field knowledge (DIDs, types, scales) lives in fields.js; this module only holds the codecs
+ * and the fields that span several DIDs (mode + fan speed, filters).
  */
 
+const { getCapabilities } = require('./models');
+const { getFields, isKnownKey } = require('./fields');
+const { decodeProductError, decodeProductState } = require('./product-codes');
+
+// v3 DIDs: D03102, D0310C, D05408 (hex suffix, no dash)
+const V3_DID_PATTERN = /^D0\d[0-9A-F]{3}$/;
+
+// v2 DIDs: D03-02, D03-12, D05-14 (decimal suffix after dash)
+const V2_DID_PATTERN = /^D0\d-\d{2}$/;
+
+// v1 legacy keys (short keys, plus the camelCase names some cloud documents use)
+const V1_KEYS = getFields(1).map(field => field.did);
+
+// v3 manual fan speeds share the D0310C code space with modes
+const V3_MANUAL_MIN = 1;
+const V3_MANUAL_MAX = 16;
+
+// v2 manual speed 1 has its own name, higher speeds are "Speed N"
+const V2_MODE_SPEED_1 = 'Gentle/Speed 1';
+
+// Nominal lifetimes used when the device does not report them (g7/d.java:j3())
+const FILTER_NOMINAL_HOURS = { prefilter: 360, hepa: 4800, wick: 2400 };
+
+// What to do when a filter runs out: the pre-filter is washable, the others are replaced
+const FILTER_ACTIONS = { prefilter: 'clean', hepa: 'replace', wick: 'replace' };
+
+// Legacy status.filter keys (cleanRemaining, replaceNominal, ...) per filter
+const LEGACY_FILTER_PREFIX = { prefilter: 'clean', hepa: 'replace' };
+
+// Bookkeeping that changes with every update, not with the device state; presence transitions
+// are emitted as updates of their own
+const DIFF_IGNORED_KEYS = ['raw', 'timestamp', 'updatedAt', 'presence'];
+
+/**
+ * Value codecs per field type (see fields.js).
+ * decode returns undefined for values that cannot be decoded; encode returns undefined for
+ * values that cannot be sent.
+ */
+const CODECS = {
+  bool: {
+    decode: (value, field) =>
+      value === field.on || String(value).toUpperCase() === String(field.on).toUpperCase(),
+    encode: (value, field) => (value ? field.on : field.off),
+  },
+  int: {
+    decode: (value, field) => {
+      const number = parseInt(value, 10);
+      if (Number.isNaN(number)) return undefined;
+      return field.scale ? number / field.scale : number;
+    },
+    encode: (value, field, caps) => {
+      let number = parseInt(value, 10);
+      if (Number.isNaN(number)) return undefined;
+      if (field.capability) {
+        const { min, max } = caps[field.capability];
+        number = Math.max(min, Math.min(max, number));
+      }
+      if (field.scale) number *= field.scale;
+      return field.format === 'string' ? String(number) : number;
+    },
+  },
+  number: {
+    decode: value => {
+      const number = Number(value);
+      return Number.isNaN(number) ? undefined : number;
+    },
+    encode: value => Number(value),
+  },
+  enum: {
+    decode: (value, field) => {
+      const name = Object.keys(field.values).find(
+        key => String(field.values[key]) === String(value)
+      );
+      return name || field.fallback || `${field.unknownPrefix}${value}`;
+    },
+    encode: (value, field) => field.values[String(value).toLowerCase()],
+  },
+  string: {
+    decode: value => String(value),
+    encode: value => String(value),
+  },
+};
+
 /**
  * Parse AWS IoT Shadow document into normalized status.
+ * Reported fields get their last-updated time (ms) in reported.updatedAt, taken from the
+ * shadow's per-field metadata timestamps.
  * @param {object} shadow - Shadow document from AWS IoT
+ * @param {object} [capabilities] - Device capabilities (see models.js)
  * @returns {{ reported: object, desired: object, timestamp: number }}
  */
-function parseShadow(shadow) {
+function parseShadow(shadow, capabilities) {
   if (!shadow || typeof shadow !== 'object') {
     return null;
   }
 
   const state = shadow.state || {};
+  let reported = {};
+  if (state.reported) {
+    reported = parseReportedState(state.reported, capabilities);
+    applyFieldTimestamps(reported, shadow);
+  }
+
   return {
-    reported: state.reported ? parseReportedState(state.reported) : {},
+    reported,
     desired: state.desired || {},
     timestamp: shadow.timestamp,
     version: shadow.version,
   };
 }
 
+/**
+ * Set per-field last-updated times on a parsed status.
+ * AWS keeps a timestamp (epoch seconds) per reported key in metadata.reported. Keys without
+ * metadata fall back to the document timestamp, or the time of parsing. A field decoded from
+ * several keys gets the newest of their times; filters carry theirs in filters.<name>.updatedAt.
+ * @param {object} status - Parsed reported state (see parseReportedState), modified in place
+ * @param {object} shadow - Shadow document the status was parsed from
+ */
+function applyFieldTimestamps(status, shadow) {
+  const reported = status.raw;
+  const metadata = shadow.metadata?.reported || {};
+  const fallback = shadow.timestamp ? shadow.timestamp * 1000 : Date.now();
+  const timeOf = key => (metadata[key]?.timestamp ? metadata[key].timestamp * 1000 : fallback);
+  const newest = (current, time) => (current === undefined ? time : Math.max(current, time));
+
+  const updatedAt = {};
+  const filterTimes = {};
+  for (const field of getFields(status.protocolVersion)) {
+    if (!(field.did in reported)) {
+      continue;
+    }
+    const time = timeOf(field.did);
+    if (field.filter) {
+      filterTimes[field.filter.name] = newest(filterTimes[field.filter.name], time);
+    } else if (field.type === 'bitmap') {
+      // Replacement flags belong to every filter
+      for (const name of Object.keys(field.bits)) {
+        filterTimes[name] = newest(filterTimes[name], time);
+      }
+    } else if (field.type === 'mode') {
+      // fanSpeed and heating are decoded from the mode field
+      for (const name of ['mode', 'fanSpeed', 'heating']) {
+        if (status[name] !== undefined) {
+          updatedAt[name] = newest(updatedAt[name], time);
+        }
+      }
+    } else if (status[field.name] !== undefined) {
+      updatedAt[field.name] = newest(updatedAt[field.name], time);
+    }
+  }
+
+  if (status.filters) {
+    for (const [name, filter] of Object.entries(status.filters)) {
+      if (filterTimes[name] !== undefined) {
+        filter.updatedAt = filterTimes[name];
+      }
+    }
+  }
+  if (Object.keys(updatedAt).length > 0) {
+    status.updatedAt = updatedAt;
+  }
+}
+
+/**
+ * Detect protocol version from the keys of a reported (or desired) document.
+ * @param {object} reported - Reported state from shadow
+ * @returns {number|null} 3, 2 or 1, or null if no protocol-specific keys are present
+ */
+function detectProtocolVersion(reported) {
+  if (!reported || typeof reported !== 'object') {
+    return null;
+  }
+
+  const keys = Object.keys(reported);
+  if (keys.some(key => V3_DID_PATTERN.test(key))) {
+    return 3;
+  }
+  if (keys.some(key => V2_DID_PATTERN.test(key))) {
+    return 2;
+  }
+  if (keys.some(key => V1_KEYS.includes(key))) {
+    return 1;
+  }
+  return null;
+}
+
 /**
  * Parse reported state from shadow into normalized format.
  * Supports multiple protocol versions:
@@ -30,16 +201,24 @@ function parseShadow(shadow) {
  * - v2: older devices - uses D03-02, D03-33
  * - v1: legacy - uses pwr, pm25, mode
  * @param {object} reported - Reported state from shadow
+ * @param {object} [capabilities] - Device capabilities (see models.js), used for mode names
  * @returns {object} Normalized status
  */
-function parseReportedState(reported) {
+function parseReportedState(reported, capabilities) {
   const status = {
     raw: reported,
   };
 
-  // Power state - v3 protocol
-  if ('D03102' in reported) {
-    status.power = reported.D03102 === 1;
+  const protocolVersion = detectProtocolVersion(reported);
+  if (protocolVersion) {
+    status.protocolVersion = protocolVersion;
+  }
+
+  const caps = resolveCapabilities(reported, protocolVersion, capabilities);
+
+  // Cloud-level power flag, present alongside protocol-specific power fields
+  if ('powerOn' in reported) {
+    status.power = Boolean(reported.powerOn);
   }
 
   // Connected state
@@ -50,65 +229,13 @@ function parseReportedState(reported) {
   // Product state (running, standby, etc.)
   if ('productState' in reported) {
     status.productState = reported.productState;
+    status.stateInfo = decodeProductState(reported.productState);
   }
 
   // Product error
   if ('productError' in reported) {
     status.error = reported.productError;
-  }
-
-  // Mode - v3 protocol: D0310C numeric codes
-  // 0=auto, 17=sleep, 18=turbo, 1-16=manual fan speeds
-  if ('D0310C' in reported) {
-    const modeCode = parseInt(reported.D0310C, 10);
-    status.modeRaw = modeCode;
-    if (modeCode === 0) {
-      status.mode = 'auto';
-    } else if (modeCode === 17) {
-      status.mode = 'sleep';
-    } else if (modeCode === 18) {
-      status.mode = 'turbo';
-    } else if (modeCode >= 1 && modeCode <= 16) {
-      status.mode = 'manual';
-      status.fanSpeed = modeCode;
-    } else {
-      status.mode = `mode_${modeCode}`;
-    }
-  }
-
-  // PM2.5 (particulate matter) - v3 protocol
-  if ('D03221' in reported) {
-    status.pm25 = parseInt(reported.D03221, 10);
-  }
-
-  // Humidity - v3 protocol
-  if ('D03125' in reported) {
-    status.humidity = parseInt(reported.D03125, 10);
-  }
-
-  // Temperature - v3 protocol (divided by 10)
-  if ('D03224' in reported) {
-    status.temperature = parseInt(reported.D03224, 10) / 10;
-  }
-
-  // Air quality index - v3 protocol
-  if ('D03120' in reported) {
-    status.airQualityIndex = parseInt(reported.D03120, 10);
-  }
-
-  // Target humidity (for humidifiers) - v3 protocol
-  if ('D03128' in reported) {
-    status.targetHumidity = parseInt(reported.D03128, 10);
-  }
-
-  // Child lock - v3 protocol
-  if ('D03103' in reported) {
-    status.childLock = reported.D03103 === 1;
-  }
-
-  // Display brightness - v3 protocol
-  if ('D03105' in reported) {
-    status.displayLight = parseInt(reported.D03105, 10);
+    status.errorInfo = decodeProductError(reported.productError);
   }
 
   // Firmware versions
@@ -124,103 +251,321 @@ function parseReportedState(reported) {
     status.timezone = reported.timezones.iana || reported.timezones.posix;
   }
 
-  // Filter status - v3 uses D05xxx DIDs
-  if ('D0540E' in reported) {
-    status.filter = status.filter || {};
-    status.filter.replaceRemaining = parseInt(reported.D0540E, 10);
+  const fields = getFields(protocolVersion);
+
+  // Plain fields straight from the table; mode, bitmap and filter hours are decoded below
+  for (const field of fields) {
+    if (!field.read || field.filter || !CODECS[field.type] || !(field.did in reported)) {
+      continue;
+    }
+    const value = CODECS[field.type].decode(reported[field.did], field);
+    if (value !== undefined) {
+      status[field.name] = value;
+    }
   }
-  if ('D05408' in reported) {
-    status.filter = status.filter || {};
-    status.filter.replaceNominal = parseInt(reported.D05408, 10);
+
+  const modeField = fields.find(field => field.type === 'mode');
+  if (modeField && modeField.did in reported) {
+    parseMode(reported[modeField.did], protocolVersion, status, caps);
   }
-  // v1 filter status
-  if ('fltsts0' in reported) {
-    status.filter = status.filter || {};
-    status.filter.cleanRemaining = parseInt(reported.fltsts0, 10);
+
+  const filters = parseFilters(reported, fields);
+  if (filters) {
+    status.filters = filters;
+    status.filter = buildLegacyFilter(reported, fields);
   }
-  if ('fltsts1' in reported) {
-    status.filter = status.filter || {};
-    status.filter.replaceRemaining = parseInt(reported.fltsts1, 10);
+
+  // Keys nothing above decodes (new firmware fields, undiscovered DIDs)
+  const unknownKeys = Object.keys(reported).filter(key => !isKnownKey(key, protocolVersion));
+  if (unknownKeys.length > 0) {
+    status.unknownFields = {};
+    for (const key of unknownKeys) {
+      status.unknownFields[key] = reported[key];
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Parse a shadow delta (desired values that differ from reported) into normalized fields.
+ * @param {object} delta - Delta state (raw DIDs)
+ * @param {object} [capabilities] - Device capabilities (see models.js)
+ * @returns {object} Normalized fields, without raw / protocol bookkeeping (raw, modeRaw, ...)
+ */
+function parseDelta(delta, capabilities) {
+  const fields = parseReportedState(delta, capabilities);
+  delete fields.raw;
+  delete fields.modeRaw;
+  delete fields.protocolVersion;
+  delete fields.unknownFields;
+  return fields;
+}
+
+/**
+ * Drop pending desired values the device has confirmed.
+ * @param {object} pending - Pending desired values (raw DIDs)
+ * @param {object} reported - Reported state (raw DIDs)
+ * @returns {object} Pending values still waiting for the device
+ */
+function resolvePending(pending, reported) {
+  const remaining = {};
+  for (const [key, value] of Object.entries(pending)) {
+    const confirmed = key in reported && JSON.stringify(reported[key]) === JSON.stringify(value);
+    if (!confirmed) {
+      remaining[key] = value;
+    }
   }
-  if ('fltt0' in reported) {
-    status.filter = status.filter || {};
-    status.filter.cleanNominal = parseInt(reported.fltt0, 10);
+  return remaining;
+}
+
+/**
+ * Pick the capabilities used to decode a document.
+ * Without caller-supplied capabilities the model is looked up from the document itself
+ * (D01S05 model number, D01S04 codename). Model mode codes only apply when the document uses
+ * the model's protocol; otherwise the protocol defaults are used.
+ * @param {object} reported - Reported state from shadow
+ * @param {number|null} protocolVersion - Detected protocol version
+ * @param {object} [capabilities] - Device capabilities (see models.js)
+ * @returns {object} Capabilities
+ */
+function resolveCapabilities(reported, protocolVersion, capabilities) {
+  const caps =
+    capabilities ||
+    getCapabilities({ model: reported.D01S05, codename: reported.D01S04, protocolVersion });
+  return caps.protocolVersion === protocolVersion ? caps : getCapabilities({ protocolVersion });
+}
+
+/**
+ * Decode the mode field, which also carries the fan speed on v3/v2.
+ * - v3: D0310C numeric codes from the model's mode table (AC3737: 0=auto, 17=sleep,
+ *   18=turbo), 1-16=manual fan speeds
+ * - v2: D03-12 mode strings, manual speeds encoded as "Speed N"
+ * - v1: single letter codes, fan speed is a separate "om" key
+ * @param {number|string} value - Raw mode value
+ * @param {number} protocolVersion - Detected protocol version
+ * @param {object} status - Normalized status to fill in
+ * @param {object} caps - Device capabilities
+ */
+function parseMode(value, protocolVersion, status, caps) {
+  if (protocolVersion === 3) {
+    const modeCode = parseInt(value, 10);
+    const modeName = findCodeName(caps.modeCodes, modeCode);
+    status.modeRaw = modeCode;
+    if (caps.heatingModes.length > 0) {
+      status.heating = caps.heatingModes.includes(modeName);
+    }
+    if (modeName) {
+      status.mode = modeName;
+    } else if (modeCode >= V3_MANUAL_MIN && modeCode <= V3_MANUAL_MAX) {
+      status.mode = 'manual';
+      status.fanSpeed = modeCode;
+    } else {
+      status.mode = `mode_${modeCode}`;
+    }
+  } else if (protocolVersion === 2) {
+    const modeName = String(value);
+    const speedMatch = modeName.match(/Speed (\d+)$/);
+    const mode = findCodeName(caps.modeCodes, modeName);
+    status.modeRaw = modeName;
+    if (mode) {
+      status.mode = mode;
+    } else if (speedMatch) {
+      status.mode = 'manual';
+      status.fanSpeed = parseInt(speedMatch[1], 10);
+    } else {
+      status.mode = `mode_${modeName.toLowerCase().replace(/\W+/g, '_')}`;
+    }
+  } else {
+    const modeCode = String(value);
+    status.modeRaw = value;
+    status.mode = findCodeName(caps.modeCodes, modeCode) || `mode_${modeCode.toLowerCase()}`;
   }
-  if ('fltt1' in reported) {
-    status.filter = status.filter || {};
-    status.filter.replaceNominal = parseInt(reported.fltt1, 10);
+}
+
+/**
+ * Build the per-filter maintenance view (prefilter, hepa, wick).
+ * Only filters present in the document are included. A filter needs attention when the
+ * filter status bitmap (v3 D05102, a set bit means OK) clears its bit or its remaining hours
+ * reach zero.
+ * @param {object} reported - Reported state from shadow
+ * @param {object[]} fields - Field entries for the document's protocol
+ * @returns {object|null} Filters keyed by name, or null if none are reported
+ */
+function parseFilters(reported, fields) {
+  const hours = readFilterHours(reported, fields);
+  const bitmapField = fields.find(field => field.type === 'bitmap' && field.did in reported);
+  const bitmap = bitmapField ? parseInt(reported[bitmapField.did], 10) : null;
+  const filters = {};
+
+  for (const [name, { remaining, nominal: reportedNominal }] of Object.entries(hours)) {
+    if (remaining === undefined) {
+      continue;
+    }
+
+    const nominal = reportedNominal !== undefined ? reportedNominal : FILTER_NOMINAL_HOURS[name];
+    const flagged = bitmap !== null && (bitmap & (1 << bitmapField.bits[name])) === 0;
+
+    filters[name] = {
+      remaining,
+      nominal,
+      percent: nominal ? Math.round((remaining / nominal) * 100) : null,
+      action: FILTER_ACTIONS[name],
+      required: flagged || remaining <= 0,
+    };
   }
 
-  // Calculate filter percentages
-  if (status.filter) {
-    if (status.filter.cleanNominal && status.filter.cleanRemaining !== undefined) {
-      status.filter.cleanPercent = Math.round(
-        (status.filter.cleanRemaining / status.filter.cleanNominal) * 100
-      );
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Build the legacy status.filter object (cleanRemaining, replacePercent, ...) from the
+ * reported pre-filter and HEPA hours.
+ * @param {object} reported - Reported state from shadow
+ * @param {object[]} fields - Field entries for the document's protocol
+ * @returns {object} Legacy filter status
+ */
+function buildLegacyFilter(reported, fields) {
+  const hours = readFilterHours(reported, fields);
+  const filter = {};
+
+  for (const [name, prefix] of Object.entries(LEGACY_FILTER_PREFIX)) {
+    const { remaining, nominal } = hours[name] || {};
+    if (remaining !== undefined) {
+      filter[`${prefix}Remaining`] = remaining;
     }
-    if (status.filter.replaceNominal && status.filter.replaceRemaining !== undefined) {
-      status.filter.replacePercent = Math.round(
-        (status.filter.replaceRemaining / status.filter.replaceNominal) * 100
-      );
+    if (nominal !== undefined) {
+      filter[`${prefix}Nominal`] = nominal;
+    }
+    if (remaining !== undefined && nominal) {
+      filter[`${prefix}Percent`] = Math.round((remaining / nominal) * 100);
     }
   }
 
-  return status;
+  return filter;
+}
+
+/**
+ * Read reported filter hours.
+ * @param {object} reported - Reported state from shadow
+ * @param {object[]} fields - Field entries for the document's protocol
+ * @returns {object} Filter name -> { remaining, nominal } (only reported parts are set)
+ */
+function readFilterHours(reported, fields) {
+  const hours = {};
+  for (const field of fields) {
+    if (field.filter && field.did in reported) {
+      const { name, part } = field.filter;
+      hours[name] = hours[name] || {};
+      hours[name][part] = parseInt(reported[field.did], 10);
+    }
+  }
+  return hours;
+}
+
+/**
+ * Find the normalized name for a protocol code (e.g. mode codes).
+ * @param {object} codes - Name -> protocol code (e.g. modeCodes from models.js)
+ * @param {number|string} code - Protocol code
+ * @returns {string|null} Normalized name
+ */
+function findCodeName(codes, code) {
+  return Object.keys(codes).find(name => codes[name] === code) || null;
+}
+
+/**
+ * Clamp a requested fan speed to the device's supported range.
+ * @param {number|string} fanSpeed - Requested fan speed
+ * @param {object} caps - Device capabilities
+ * @returns {number|null} Fan speed, or null if the device has no manual speeds
+ */
+function clampFanSpeed(fanSpeed, caps) {
+  if (!caps.fanSpeed) {
+    return null;
+  }
+  const { min, max } = caps.fanSpeed;
+  return Math.max(min, Math.min(max, parseInt(fanSpeed, 10)));
 }
 
 /**
  * Build desired state update for device control.
+ * Fields not writable on the device's protocol (see fields.js) are ignored.
  * @param {object} options - Control options
  * @param {boolean} [options.power] - Power on/off
- * @param {string} [options.mode] - Mode (auto, sleep, turbo, manual)
- * @param {number} [options.fanSpeed] - Fan speed (1-2 for AC3737)
+ * @param {string} [options.mode] - Mode (auto, sleep, turbo, manual; heat_high, heat_low, fan for
+ *   heaters)
+ * @param {number} [options.fanSpeed] - Fan speed (clamped to the model's range, 1-2 for AC3737)
+ * @param {string} [options.function] - Function (purify, purify_humidify)
  * @param {number} [options.targetHumidity] - Target humidity (40-70)
  * @param {boolean} [options.childLock] - Child lock on/off
  * @param {number} [options.displayLight] - Display brightness (0-100)
+ * @param {string} [options.displaySensor] - Sensor shown on the display (iai, pm25, humidity)
+ * @param {object} [capabilities] - Device capabilities (see models.js); only protocolVersion
+ *   is required, missing parts fall back to protocol defaults
  * @returns {object} Desired state for shadow update
  */
-function buildDesiredState(options) {
+function buildDesiredState(options, capabilities = {}) {
+  const caps = capabilities.modeCodes ? capabilities : getCapabilities(capabilities);
   const desired = {};
+  const written = new Set();
 
-  // Power - v3 protocol uses D03102 with numeric 1/0
-  if (options.power !== undefined) {
-    desired.D03102 = options.power ? 1 : 0;
-  }
-
-  // Mode - v3 protocol uses D0310C with numeric codes
-  // 0=auto, 17=sleep, 18=turbo, 1-16=manual (fan speed encoded in mode)
-  if (options.mode !== undefined || options.fanSpeed !== undefined) {
-    const mode = (options.mode || 'manual').toLowerCase();
+  for (const field of getFields(caps.protocolVersion)) {
+    if (!field.write || written.has(field.name)) {
+      continue;
+    }
+    written.add(field.name);
 
-    if (mode === 'auto') {
-      desired.D0310C = 0;
-    } else if (mode === 'sleep') {
-      desired.D0310C = 17;
-    } else if (mode === 'turbo') {
-      desired.D0310C = 18;
-    } else if (mode === 'manual' && options.fanSpeed !== undefined) {
-      // Manual mode: fan speed 1-2 for AC3737 (protocol max is 16, but AC3737 only has 2 speeds)
-      const fanSpeed = Math.max(1, Math.min(2, parseInt(options.fanSpeed, 10)));
-      desired.D0310C = fanSpeed;
+    if (field.type === 'mode') {
+      buildMode(options, field, caps, desired);
+      continue;
+    }
+    if (options[field.name] === undefined || (field.capability && !caps[field.capability])) {
+      continue;
+    }
+    const value = CODECS[field.type].encode(options[field.name], field, caps);
+    if (value !== undefined) {
+      desired[field.did] = value;
     }
   }
 
-  // Target humidity - v3 protocol uses D03128
-  if (options.targetHumidity !== undefined) {
-    desired.D03128 = parseInt(options.targetHumidity, 10);
-  }
+  return desired;
+}
 
-  // Child lock - v3 protocol uses D03103
-  if (options.childLock !== undefined) {
-    desired.D03103 = options.childLock ? 1 : 0;
+/**
+ * Encode mode (and, on v3/v2, the manual fan speed that shares the mode field).
+ * v1 modes are single letter codes; raw letters are passed through.
+ * @param {object} options - Control options (see buildDesiredState)
+ * @param {object} field - Mode field entry
+ * @param {object} caps - Device capabilities
+ * @param {object} desired - Desired state to fill in
+ */
+function buildMode(options, field, caps, desired) {
+  if (caps.protocolVersion === 1) {
+    if (options.mode !== undefined) {
+      const mode = String(options.mode);
+      desired[field.did] = caps.modeCodes[mode.toLowerCase()] || mode;
+    }
+    return;
   }
 
-  // Display light - v3 protocol uses D03105
-  if (options.displayLight !== undefined) {
-    desired.D03105 = parseInt(options.displayLight, 10);
+  if (options.mode === undefined && options.fanSpeed === undefined) {
+    return;
   }
 
-  return desired;
+  const mode = (options.mode || 'manual').toLowerCase();
+  if (mode in caps.modeCodes) {
+    desired[field.did] = caps.modeCodes[mode];
+  } else if (mode === 'manual' && options.fanSpeed !== undefined) {
+    const fanSpeed = clampFanSpeed(options.fanSpeed, caps);
+    if (fanSpeed === null) {
+      return;
+    }
+    if (caps.protocolVersion === 2) {
+      desired[field.did] = fanSpeed === 1 ? V2_MODE_SPEED_1 : `Speed ${fanSpeed}`;
+    } else {
+      desired[field.did] = fanSpeed;
+    }
+  }
 }
 
 /**
@@ -237,6 +582,12 @@ function mergeStatus(existing, update) {
       merged.raw = { ...existing.raw, ...update.raw };
     } else if (key === 'filter' && existing.filter) {
       merged.filter = { ...existing.filter, ...update.filter };
+    } else if (key === 'filters' && existing.filters) {
+      merged.filters = { ...existing.filters, ...update.filters };
+    } else if (key === 'updatedAt' && existing.updatedAt) {
+      merged.updatedAt = { ...existing.updatedAt, ...update.updatedAt };
+    } else if (key === 'unknownFields' && existing.unknownFields) {
+      merged.unknownFields = { ...existing.unknownFields, ...update.unknownFields };
     } else if (value !== undefined) {
       merged[key] = value;
     }
@@ -246,9 +597,31 @@ function mergeStatus(existing, update) {
   return merged;
 }
 
+/**
+ * List the normalized fields that differ between two statuses.
+ * Raw documents and update times are ignored, so a status that was only re-reported with
+ * the same values has no changes.
+ * @param {object} previous - Earlier status
+ * @param {object} next - Later status
+ * @returns {string[]} Changed field names
+ */
+function diffStatus(previous, next) {
+  const serialize = value =>
+    JSON.stringify(value, (key, nested) => (key === 'updatedAt' ? undefined : nested));
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return [...keys].filter(
+    key => !DIFF_IGNORED_KEYS.includes(key) && serialize(previous[key]) !== serialize(next[key])
+  );
+}
+
 module.exports = {
+  detectProtocolVersion,
   parseShadow,
   parseReportedState,
+  parseDelta,
+  resolvePending,
   buildDesiredState,
   mergeStatus,
+  diffStatus,
 };
@@ -0,0 +1,96 @@
+/**
+ * Device presence.
+ * Our MQTT connection being up says nothing about the purifier itself. The cloud reports
+ * `connected: false` once a device drops off Wi-Fi, and a device that sends no shadow traffic
+ * for a while is most likely gone too. Presence combines both per device:
+ * - online: last document said connected (or did not say)
+ * - offline: the cloud reports the device disconnected
+ * - stale: no shadow traffic for the configured interval
+ * - unknown: no document seen yet
+ */
+
+const { PRESENCE_STALE_MS } = require('./constants');
+
+/**
+ * Create a presence tracker.
+ * @param {object} [options]
+ * @param {number} [options.staleAfter] - Time without shadow traffic before a device is stale (ms),
+ *   0 disables the check
+ * @param {function} [options.onChange] - Called with (deviceId, presence, previous) on transitions
+ * @returns {object} Tracker with observe, get, forget and clear
+ */
+function createPresenceTracker({ staleAfter = PRESENCE_STALE_MS, onChange = () => {} } = {}) {
+  const devices = new Map(); // deviceId -> { presence, timer }
+
+  function setPresence(deviceId, device, presence) {
+    const previous = device.presence;
+    if (presence === previous) return;
+    device.presence = presence;
+    onChange(deviceId, presence, previous);
+  }
+
+  /**
+   * Record shadow traffic for a device.
+   * @param {string} deviceId - Device ID
+   * @param {boolean} [connected] - Cloud connection flag from the merged status
+   * @returns {string} Presence after this document
+   */
+  function observe(deviceId, connected) {
+    if (!devices.has(deviceId)) {
+      devices.set(deviceId, { presence: 'unknown', timer: null });
+    }
+    const device = devices.get(deviceId);
+
+    clearTimeout(device.timer);
+    if (staleAfter > 0) {
+      device.timer = setTimeout(() => {
+        // Offline devices are silent by definition, keep the more specific state
+        if (device.presence === 'online') {
+          setPresence(deviceId, device, 'stale');
+        }
+      }, staleAfter);
+    }
+
+    setPresence(deviceId, device, connected === false ? 'offline' : 'online');
+    return device.presence;
+  }
+
+  /**
+   * Get a device's presence.
+   * @param {string} deviceId - Device ID
+   * @returns {string} online, offline, stale or unknown
+   */
+  function get(deviceId) {
+    return devices.get(deviceId)?.presence || 'unknown';
+  }
+
+  /**
+   * Stop tracking a device (connection released or device removed), without an event.
+   * @param {string} deviceId - Device ID
+   */
+  function forget(deviceId) {
+    clearTimeout(devices.get(deviceId)?.timer);
+    devices.delete(deviceId);
+  }
+
+  /**
+   * Stop all timers (on close).
+   */
+  function clear() {
+    for (const device of devices.values()) {
+      clearTimeout(device.timer);
+    }
+    devices.clear();
+  }
+
+  return {
+    observe,
+    get,
+    forget,
+    clear,
+  };
+}
+
+module.exports = {
+  createPresenceTracker,
+};
@@ -0,0 +1,68 @@
+/**
+ * Product error and state codes.
+ * The cloud reports `productError` (null or 0 while the device is fine) and `productState` as bare
+ * codes. These tables turn them into a message and a severity (info, warning or error).
+ *
+ * The error codes are UNVERIFIED for Air+ cloud devices: they are the local-protocol `err` values
+ * decoded by py-air-control and have not been seen in a cloud shadow yet.
+ *
+ * Scope: only the water tank and pre-filter codes below. No sourced code is known for a missing
+ * filter or a blocked wick, so they are not decoded and show up as "Unknown error <code>"; filter
+ * wear is reported separately as filters.<name>.required. Please report codes you see together
+ * with what the device or the app showed.
+ */
+
+const ERROR_CODES = {
+  32768: { message: 'Water tank open', severity: 'warning' },
+  49155: { message: 'Pre-filter must be cleaned', severity: 'info' },
+  49408: { message: 'Water tank empty', severity: 'warning' },
+};
+
+// 'running' is seen in cloud shadows; 'standby' is assumed (unverified)
+const STATE_CODES = {
+  running: { message: 'Running', severity: 'info' },
+  standby: { message: 'Standby', severity: 'info' },
+};
+
+/**
+ * Decode a productError value.
+ * @param {number|string|null} code - Reported productError
+ * @returns {{ code: number|string, message: string, severity: string }|null} Decoded error, or
+ *   null when there is none
+ */
+function decodeProductError(code) {
+  if (code === null || code === undefined || code === '' || Number(code) === 0) {
+    return null;
+  }
+  const known = ERROR_CODES[code];
+  return {
+    code,
+    message: known ? known.message : `Unknown error ${code}`,
+    severity: known ? known.severity : 'warning',
+  };
+}
+
+/**
+ * Decode a productState value.
+ * @param {number|string|null} code - Reported productState
+ * @returns {{ code: number|string, message: string, severity: string }|null} Decoded state, or
+ *   null if not reported
+ */
+function decodeProductState(code) {
+  if (code === null || code === undefined || code === '') {
+    return null;
+  }
+  const known = STATE_CODES[code];
+  return {
+    code,
+    message: known ? known.message : `Unknown state ${code}`,
+    severity: known ? known.severity : 'info',
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  STATE_CODES,
+  decodeProductError,
+  decodeProductState,
+};
@@ -0,0 +1,102 @@
+/**
+ * Shadow version tracking.
+ * AWS IoT increments a shadow's version on every update and stamps it on each document it
+ * publishes. Tracking the last version per device lets the account node drop documents that
+ * arrive out of order (e.g. a late get/accepted after a newer delta) and notice missed updates.
+ */
+
+const { SHADOW_RESYNC_MIN_INTERVAL_MS } = require('./constants');
+
+/**
+ * Create a version tracker.
+ * @param {object} [options]
+ * @param {number} [options.resyncInterval] - Minimum time between resync requests per device (ms)
+ * @param {function} [options.now] - Clock (ms), for tests
+ * @returns {object} Tracker with observe, reset and getStats
+ */
+function createVersionTracker({
+  resyncInterval = SHADOW_RESYNC_MIN_INTERVAL_MS,
+  now = Date.now,
+} = {}) {
+  const devices = new Map();
+
+  function getDevice(deviceId) {
+    if (!devices.has(deviceId)) {
+      devices.set(deviceId, {
+        version: null,
+        discarded: 0,
+        gaps: 0,
+        resyncs: 0,
+        lastResyncAt: null,
+      });
+    }
+    return devices.get(deviceId);
+  }
+
+  /**
+   * Check a document's version against the last one seen.
+   * The same version is accepted again: one update can publish both update/accepted and delta.
+   * @param {string} deviceId - Device ID
+   * @param {number} [version] - Shadow version (documents without one are always accepted)
+   * @param {object} [options]
+   * @param {boolean} [options.snapshot=false] - Full document (get/accepted), so no gap check
+   * @returns {{ accept: boolean, resync: boolean }} Whether to merge the document, and whether
+   *   to request the full shadow because updates were missed
+   */
+  function observe(deviceId, version, { snapshot = false } = {}) {
+    if (typeof version !== 'number') {
+      return { accept: true, resync: false };
+    }
+
+    const device = getDevice(deviceId);
+    if (device.version !== null && version < device.version) {
+      device.discarded++;
+      return { accept: false, resync: false };
+    }
+
+    let resync = false;
+    if (!snapshot && device.version !== null && version > device.version + 1) {
+      device.gaps++;
+      const time = now();
+      if (device.lastResyncAt === null || time - device.lastResyncAt >= resyncInterval) {
+        device.resyncs++;
+        device.lastResyncAt = time;
+        resync = true;
+      }
+    }
+
+    device.version = version;
+    return { accept: true, resync };
+  }
+
+  /**
+   * Forget the last version (e.g. after reconnecting, when the shadow may have been reset).
+   * Counters are kept.
+   * @param {string} deviceId - Device ID
+   */
+  function reset(deviceId) {
+    if (devices.has(deviceId)) {
+      devices.get(deviceId).version = null;
+    }
+  }
+
+  /**
+   * Get version diagnostics for a device.
+   * @param {string} deviceId - Device ID
+   * @returns {{ version: number|null, discarded: number, gaps: number, resyncs: number,
+   *   lastResyncAt: number|null }}
+   */
+  function getStats(deviceId) {
+    return { ...getDevice(deviceId) };
+  }
+
+  return {
+    observe,
+    reset,
+    getStats,
+  };
+}
+
+module.exports = {
+  createVersionTracker,
+};
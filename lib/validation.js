@@ -0,0 +1,248 @@
+/**
+ * Control payload validation.
+ * Checks simple-format control payloads against the field table (fields.js) and the device's
+ * capabilities (models.js) before they are encoded, instead of silently clamping or dropping
+ * values in buildDesiredState.
+ *
+ * Error codes (err.code, with err.field naming the offending property):
+ * - UNSUPPORTED_FIELD: unknown property, or not supported by the model / current function
+ * - INVALID_VALUE: wrong type or unknown value (e.g. mode not offered by the model)
+ * - OUT_OF_RANGE: number outside the field or model range
+ * - MISSING_FAN_SPEED: manual mode without a fan speed on protocols that encode it in the mode
+ *
+ * Lenient mode skips validation but still drops what the device cannot apply (dropUnsupported).
+ */
+
+const { getFields } = require('./fields');
+
+/**
+ * Create a validation error.
+ * @param {string} code - Error code
+ * @param {string} field - Offending property
+ * @param {string} message - Error message
+ * @returns {Error} Error with code and field
+ */
+function validationError(code, field, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.field = field;
+  return err;
+}
+
+/**
+ * Validate a number against an inclusive range.
+ * @param {string} name - Property name
+ * @param {*} value - Value to check
+ * @param {number[]|null} range - [min, max] or null for no range
+ * @returns {number} Parsed value
+ */
+function checkInteger(name, value, range) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isInteger(number)) {
+    throw validationError('INVALID_VALUE', name, `${name} must be an integer, got ${value}`);
+  }
+  if (range && (number < range[0] || number > range[1])) {
+    throw validationError(
+      'OUT_OF_RANGE',
+      name,
+      `${name} ${number} out of range (${range[0]}-${range[1]})`
+    );
+  }
+  return number;
+}
+
+/**
+ * Check a mode against the model's modes (by name, or raw code as sent on the wire).
+ * @param {*} mode - Requested mode
+ * @param {object} caps - Device capabilities
+ * @returns {boolean} True if the model offers the mode
+ */
+function isModeSupported(mode, caps) {
+  const rawCodes = Object.values(caps.modeCodes).map(String);
+  return caps.modes.includes(String(mode).toLowerCase()) || rawCodes.includes(String(mode));
+}
+
+/**
+ * Check whether a function is offered by the model and has a confirmed protocol code.
+ * @param {string} name - Function name
+ * @param {object} caps - Device capabilities
+ * @returns {boolean} True if the function can be written
+ */
+function isFunctionWritable(name, caps) {
+  const field = getFields(caps.protocolVersion).find(f => f.write && f.name === 'function');
+  return (
+    caps.functions.includes(name) && Boolean(field) && String(name).toLowerCase() in field.values
+  );
+}
+
+/**
+ * Check whether a humidity target would be ignored because the device only purifies.
+ * @param {object} options - Control options
+ * @param {object} [status] - Last known device status
+ * @returns {boolean} True in purify-only function
+ */
+function isPurifyOnly(options, status) {
+  return (options.function || status?.function) === 'purify';
+}
+
+/**
+ * Validate a simple-format control payload.
+ * @param {object} options - Control options (see parser.buildDesiredState)
+ * @param {object} caps - Device capabilities (see models.getCapabilities)
+ * @param {object} [context]
+ * @param {object} [context.status] - Last known device status (for the current function)
+ * @throws {Error} Validation error with code and field
+ */
+function validateControl(options, caps, { status } = {}) {
+  const fields = getFields(caps.protocolVersion).filter(field => field.write);
+  const writable = new Map();
+  for (const field of fields) {
+    if (!writable.has(field.name)) {
+      writable.set(field.name, field);
+    }
+  }
+  // v3/v2 carry the fan speed in the mode field; v1 has its own om field
+  const speedInMode = !writable.has('fanSpeed');
+
+  if (options.function !== undefined && !caps.functions.includes(options.function)) {
+    const supported = caps.functions.join(', ') || 'none';
+    throw validationError(
+      caps.functions.length > 0 ? 'INVALID_VALUE' : 'UNSUPPORTED_FIELD',
+      'function',
+      `Function "${options.function}" not supported (supported: ${supported})`
+    );
+  }
+  if (options.function !== undefined && !isFunctionWritable(options.function, caps)) {
+    throw validationError(
+      'INVALID_VALUE',
+      'function',
+      `Function "${options.function}" cannot be written, its protocol code is unverified`
+    );
+  }
+
+  for (const [name, value] of Object.entries(options)) {
+    if (name === 'fanSpeed' && speedInMode) {
+      continue;
+    }
+    const field = writable.get(name);
+    if (!field) {
+      throw validationError(
+        'UNSUPPORTED_FIELD',
+        name,
+        `${name} is not a controllable property on protocol v${caps.protocolVersion}`
+      );
+    }
+    if (field.capability && !caps[field.capability]) {
+      throw validationError('UNSUPPORTED_FIELD', name, `${name} is not supported by this model`);
+    }
+
+    if (field.type === 'bool' && typeof value !== 'boolean') {
+      throw validationError('INVALID_VALUE', name, `${name} must be true or false, got ${value}`);
+    }
+    if (field.type === 'int') {
+      const range = field.capability
+        ? [caps[field.capability].min, caps[field.capability].max]
+        : field.range;
+      checkInteger(name, value, range || null);
+    }
+    if (field.type === 'enum' && !(String(value).toLowerCase() in field.values)) {
+      const allowed = Object.keys(field.values).join(', ');
+      throw validationError('INVALID_VALUE', name, `${name} must be one of ${allowed}`);
+    }
+  }
+
+  if (options.mode !== undefined) {
+    const mode = String(options.mode).toLowerCase();
+    if (!isModeSupported(options.mode, caps)) {
+      throw validationError(
+        'INVALID_VALUE',
+        'mode',
+        `Mode "${options.mode}" not supported (supported: ${caps.modes.join(', ')})`
+      );
+    }
+    if (mode === 'manual' && speedInMode && options.fanSpeed === undefined) {
+      throw validationError(
+        'MISSING_FAN_SPEED',
+        'fanSpeed',
+        'Manual mode requires fanSpeed on this device'
+      );
+    }
+  }
+
+  if (options.fanSpeed !== undefined) {
+    if (!caps.fanSpeed) {
+      throw validationError('UNSUPPORTED_FIELD', 'fanSpeed', 'This model has no manual fan speeds');
+    }
+    checkInteger('fanSpeed', options.fanSpeed, [caps.fanSpeed.min, caps.fanSpeed.max]);
+    const mode = options.mode !== undefined ? String(options.mode).toLowerCase() : 'manual';
+    if (speedInMode && mode !== 'manual') {
+      throw validationError(
+        'INVALID_VALUE',
+        'fanSpeed',
+        `fanSpeed only applies to manual mode, not "${options.mode}"`
+      );
+    }
+  }
+
+  if (options.targetHumidity !== undefined) {
+    if (caps.humidityPresets.length === 0) {
+      throw validationError('UNSUPPORTED_FIELD', 'targetHumidity', 'This model has no humidifier');
+    }
+    // Humidity target is ignored by the device while it only purifies
+    if (isPurifyOnly(options, status)) {
+      throw validationError(
+        'UNSUPPORTED_FIELD',
+        'targetHumidity',
+        'Cannot set targetHumidity in purify-only function (send function: "purify_humidify")'
+      );
+    }
+  }
+}
+
+/**
+ * Remove properties the device cannot apply from a simple-format payload (lenient mode).
+ * Out-of-range values are left for buildDesiredState to clamp; dropped here is what it would
+ * publish unchanged or leave out silently: an unsupported or unverified function, an unsupported
+ * mode (with the fan speed sent for that mode) and a humidity target without humidifier or in
+ * purify-only function.
+ * @param {object} options - Control options (see parser.buildDesiredState)
+ * @param {object} caps - Device capabilities (see models.getCapabilities)
+ * @param {object} [context]
+ * @param {object} [context.status] - Last known device status (for the current function)
+ * @returns {{ options: object, dropped: string[] }} Remaining options and dropped property names
+ */
+function dropUnsupported(options, caps, { status } = {}) {
+  const kept = { ...options };
+  const dropped = [];
+  const drop = name => {
+    delete kept[name];
+    dropped.push(name);
+  };
+
+  if (kept.function !== undefined && !isFunctionWritable(kept.function, caps)) {
+    drop('function');
+  }
+  if (kept.mode !== undefined && !isModeSupported(kept.mode, caps)) {
+    drop('mode');
+    // v3/v2 carry the fan speed in the mode field, it belongs to the dropped mode
+    const speedInMode = !getFields(caps.protocolVersion).some(
+      field => field.write && field.name === 'fanSpeed'
+    );
+    if (speedInMode && kept.fanSpeed !== undefined) {
+      drop('fanSpeed');
+    }
+  }
+  if (
+    kept.targetHumidity !== undefined &&
+    (caps.humidityPresets.length === 0 || isPurifyOnly(kept, status))
+  ) {
+    drop('targetHumidity');
+  }
+
+  return { options: kept, dropped };
+}
+
+module.exports = {
+  validateControl,
+  dropUnsupported,
+};
@@ -18,12 +18,45 @@ const {
 } = require('../lib/oauth');
 const { createApiClient } = require('../lib/api');
 const { createMqttClient } = require('../lib/mqtt');
-const { parseShadow, mergeStatus } = require('../lib/parser');
-const { TOKEN_REFRESH_BUFFER_MS } = require('../lib/constants');
+const {
+  parseShadow,
+  parseDelta,
+  resolvePending,
+  mergeStatus,
+  diffStatus,
+} = require('../lib/parser');
+const { getCapabilities } = require('../lib/models');
+const { listFields } = require('../lib/fields');
+const { createKnownFieldsStore } = require('../lib/known-fields');
+const { createVersionTracker } = require('../lib/shadow-version');
+const { createCredentialProvider } = require('../lib/credentials');
+const { createConfirmationTracker } = require('../lib/confirmations');
+const { createCommandQueue } = require('../lib/command-queue');
+const { createCommandScheduler } = require('../lib/command-scheduler');
+const { createDeviceCacheStore } = require('../lib/device-cache');
+const { diffDevices } = require('../lib/device-list');
+const { createPresenceTracker } = require('../lib/presence');
+const {
+  TOKEN_REFRESH_BUFFER_MS,
+  APPLY_CONFIRM_TIMEOUT_MS,
+  COMMAND_QUEUE_TTL_MS,
+  COMMAND_MIN_INTERVAL_MS,
+  MQTT_IDLE_DISCONNECT_MS,
+  INIT_RETRY_BASE_MS,
+  INIT_RETRY_MAX_MS,
+  DEVICE_REFRESH_INTERVAL_MS,
+  PRESENCE_STALE_MS,
+} = require('../lib/constants');
 
 // CLI credentials file location
 const CREDENTIALS_FILE = path.join(os.homedir(), '.philips-airplus', 'credentials.json');
 
+// Reported keys already seen per device (new-field notices are raised once)
+const KNOWN_FIELDS_FILE = path.join(os.homedir(), '.philips-airplus', 'known-fields.json');
+
+// Last fetched device list per user (used while the API is unreachable at startup)
+const DEVICES_FILE = path.join(os.homedir(), '.philips-airplus', 'devices.json');
+
 module.exports = function (RED) {
   // PKCE state storage (in-memory, short TTL)
   const pkceStore = new Map();
@@ -41,21 +74,91 @@ module.exports = function (RED) {
   // Cleanup old PKCE entries periodically
   setInterval(cleanupPkceStore, 60000);
 
+  // Shared by all account nodes, they write the same file
+  const knownFields = createKnownFieldsStore({
+    file: KNOWN_FIELDS_FILE,
+    log: msg => RED.log.warn(msg),
+  });
+
+  const deviceCacheStore = createDeviceCacheStore({
+    file: DEVICES_FILE,
+    log: msg => RED.log.warn(msg),
+  });
+
   function AirplusAccountNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
 
     // Configuration
     node.name = config.name || 'Philips Air+';
+    // Offline queue TTL in seconds (0 disables queueing), merge or ordered delivery
+    const queueTtl =
+      config.queueTtl === undefined || config.queueTtl === ''
+        ? COMMAND_QUEUE_TTL_MS
+        : (parseInt(config.queueTtl, 10) || 0) * 1000;
+    const queueMode = config.queueMode === 'ordered' ? 'ordered' : 'merge';
+    // Minimum time between updates per device in ms (0 sends every command right away)
+    const commandInterval =
+      config.commandInterval === undefined || config.commandInterval === ''
+        ? COMMAND_MIN_INTERVAL_MS
+        : parseInt(config.commandInterval, 10) || 0;
+    // Minutes without shadow traffic before a device counts as stale (0 disables)
+    const presenceTimeout =
+      config.presenceTimeout === undefined || config.presenceTimeout === ''
+        ? PRESENCE_STALE_MS
+        : (parseInt(config.presenceTimeout, 10) || 0) * 60 * 1000;
 
     // State
-    const mqttClients = new Map(); // deviceId -> mqttClient
+    const mqttClients = new Map(); // deviceId -> mqttClient (only devices in use)
+    const connectingDevices = new Map(); // deviceId -> first connection attempt (Promise)
+    const idleTimers = new Map(); // deviceId -> timer closing the client when unused
     let apiClient = null;
     let tokenSet = null; // openid-client TokenSet
     let deviceCache = [];
     let deviceStatus = new Map(); // deviceId -> status
     let statusCallbacks = new Map(); // deviceId -> Set of callbacks
+    const pendingDesired = new Map(); // deviceId -> desired values not yet reported (raw DIDs)
+    const shadowVersions = createVersionTracker();
+    const confirmations = createConfirmationTracker();
+    const presence = createPresenceTracker({
+      staleAfter: presenceTimeout,
+      onChange: handlePresenceChange,
+    });
+    const commandQueue = createCommandQueue({ ttl: queueTtl, merge: queueMode === 'merge' });
+    const commandScheduler = createCommandScheduler({
+      sendCommand: (deviceId, desired) => {
+        const mqttClient = mqttClients.get(deviceId);
+        if (!mqttClient || !mqttClient.isConnected()) {
+          return Promise.reject(new Error(`Not connected to device ${deviceId}`));
+        }
+        return mqttClient.updateDeviceState(deviceId, desired);
+      },
+      // The connection dropped during the coalescing interval: wait for it like any offline command
+      holdCommand: (deviceId, desired, commands) => {
+        const mqttClient = mqttClients.get(deviceId);
+        if (!mqttClient || mqttClient.isConnected() || queueTtl <= 0) {
+          return null;
+        }
+        node.log(`Device ${deviceId} disconnected before its command was sent, queueing it`);
+        return commandQueue.enqueue(deviceId, desired, { commands });
+      },
+      minInterval: commandInterval,
+    });
+    const mqttCredentials = createCredentialProvider({
+      fetchMqttInfo: async deviceIds => {
+        const userId = await ensureValidToken();
+        return getApiClient().getMqttInfo(userId, deviceIds);
+      },
+      // Also clears the cached MxChip token (see updateCredentials)
+      refreshAuth: () => ensureValidToken({ force: true }),
+      log: msg => node.log(msg),
+    });
     let reconnectionState = null; // { attempts: number, nextRetryAt: number, circuitBreakerOpen: boolean }
+    let initializing = null; // Running initialization (Promise)
+    let initRetry = null; // { attempts, nextRetryAt, timer } while startup keeps failing
+    let usingCachedDevices = false; // deviceCache comes from DEVICES_FILE, not the API
+    let deviceRefreshTimer = null; // Periodic device list refresh (setInterval)
+    let closed = false;
 
     // Get API client singleton
     function getApiClient() {
@@ -85,14 +188,17 @@ module.exports = function (RED) {
     }
 
     // Token management
-    async function ensureValidToken() {
+    // force: refresh even if not expiring (the API rejected the current token)
+    async function ensureValidToken({ force = false } = {}) {
       if (!isAuthenticated()) {
         throw new Error('Not authenticated');
       }
 
       const expiresAt = getExpiresAt();
-      if (expiresAt && Date.now() >= expiresAt * 1000 - TOKEN_REFRESH_BUFFER_MS) {
-        node.log('Token expired or expiring soon, refreshing...');
+      if (force || (expiresAt && Date.now() >= expiresAt * 1000 - TOKEN_REFRESH_BUFFER_MS)) {
+        node.log(
+          force ? 'Token rejected, refreshing...' : 'Token expired or expiring soon, refreshing...'
+        );
         try {
           tokenSet = await refreshTokens(getRefreshToken());
           updateCredentials(tokenSet);
@@ -158,12 +264,65 @@ module.exports = function (RED) {
         node.log(`Found ${deviceCache.length} device(s)`);
         return deviceCache;
       } catch (err) {
-        node.error(`Failed to fetch devices: ${err.message}`);
+        node.warn(`Failed to fetch devices: ${err.message}`);
         throw err;
       }
     }
 
-    // MQTT connection - creates one client per device
+    // Re-read the device list and apply changes made in the Philips app
+    // Resolves { added, removed, renamed } (see diffDevices)
+    async function refreshDevices() {
+      const previous = deviceCache;
+      await fetchDevices();
+      deviceCacheStore.save(getUserId(), deviceCache);
+
+      // A fresh list ends the startup fallback: stop retrying and connect the devices in use
+      if (usingCachedDevices) {
+        node.log('Device list fetched, leaving cached devices');
+        usingCachedDevices = false;
+        clearTimeout(initRetry?.timer);
+        initRetry = null;
+        startDeviceRefresh();
+        for (const deviceId of statusCallbacks.keys()) {
+          connectDevice(deviceId);
+        }
+      }
+
+      const changes = diffDevices(previous, deviceCache);
+      for (const device of changes.removed) {
+        node.log(`Device removed: ${device.name} (${device.id})`);
+        removeDevice(device.id);
+        node.emit('device-removed', device.id, device);
+      }
+      for (const device of changes.added) {
+        node.log(`Device added: ${device.name} (${device.id})`);
+        // Status nodes may already be waiting for it
+        if (statusCallbacks.has(device.id)) {
+          connectDevice(device.id);
+        }
+        node.emit('device-added', device.id, device);
+      }
+      for (const { device, previousName } of changes.renamed) {
+        node.log(`Device renamed: ${previousName} -> ${device.name} (${device.id})`);
+        node.emit('device-renamed', device.id, { name: device.name, previousName });
+      }
+
+      updateStatus();
+      return changes;
+    }
+
+    function startDeviceRefresh() {
+      if (deviceRefreshTimer) return;
+      deviceRefreshTimer = setInterval(() => {
+        // Startup retries fetch the list themselves
+        if (initializing || initRetry) return;
+        refreshDevices().catch(() => {
+          // Logged by fetchDevices, next interval tries again
+        });
+      }, DEVICE_REFRESH_INTERVAL_MS);
+    }
+
+    // MQTT connections - one client per device, opened on first use (see connectDevice)
     async function connectMqtt() {
       // Disconnect existing clients
       for (const [deviceId, client] of mqttClients) {
@@ -177,138 +336,368 @@ module.exports = function (RED) {
         return;
       }
 
-      // Get MQTT credentials for all devices
-      const userId = await ensureValidToken();
-      const client = getApiClient();
-      const deviceIds = deviceCache.map(d => d.id);
+      // Devices with status nodes are needed right away, the rest connect on their first command
+      const deviceIds = deviceCache.map(d => d.id).filter(id => statusCallbacks.has(id));
+      if (deviceIds.length === 0) {
+        node.log(`No devices in use yet, ${deviceCache.length} device(s) will connect on demand`);
+        return;
+      }
+
+      // Get MQTT credentials for these devices in one call (reconnects fetch fresh ones per device)
       node.log(`Getting MQTT info for ${deviceIds.length} device(s)`);
-      const mqttInfos = await client.getMqttInfo(userId, deviceIds);
+      const mqttInfos = await mqttCredentials.getMqttInfos(deviceIds);
 
       if (!mqttInfos || mqttInfos.length === 0) {
         throw new Error('No MQTT info returned');
       }
 
-      // Create MQTT client for each device
-      for (const mqttInfo of mqttInfos) {
-        const deviceId = mqttInfo.device_id;
-        const device = deviceCache.find(d => d.id === deviceId);
-        const deviceName = device?.name || deviceId;
+      await Promise.all(mqttInfos.map(mqttInfo => connectDevice(mqttInfo.device_id)));
 
-        node.log(`Creating MQTT client for ${deviceName} (${deviceId})`);
+      node.log(`MQTT connections established for ${mqttClients.size} device(s)`);
+    }
+
+    // Open the device's MQTT client if it is not open yet
+    // Resolves once the first connection attempt finished (failures keep retrying in the background)
+    function connectDevice(deviceId) {
+      // Cached devices wait for the startup retry, which reconnects everything in use
+      if (usingCachedDevices) {
+        return Promise.resolve();
+      }
+      if (mqttClients.has(deviceId)) {
+        return connectingDevices.get(deviceId) || Promise.resolve();
+      }
+      const device = deviceCache.find(d => d.id === deviceId);
+      if (!device) {
+        return Promise.resolve();
+      }
 
-        const mqttClient = createMqttClient({
-          getMqttInfo: async () => mqttInfo,
-          onStateChange: handleStateChange,
-          onConnect: () => {
-            node.log(`MQTT connected: ${deviceName}`);
-            reconnectionState = null; // Clear reconnection state on success
+      const connecting = createDeviceClient(device).finally(() => {
+        connectingDevices.delete(deviceId);
+      });
+      connectingDevices.set(deviceId, connecting);
+      return connecting;
+    }
+
+    async function createDeviceClient(device) {
+      const deviceId = device.id;
+      const deviceName = device.name || deviceId;
+
+      node.log(`Creating MQTT client for ${deviceName} (${deviceId})`);
+
+      const mqttClient = createMqttClient({
+        getMqttInfo: () => mqttCredentials.getMqttInfo(deviceId),
+        onStateChange: handleStateChange,
+        onConnect: () => {
+          node.log(`MQTT connected: ${deviceName}`);
+          reconnectionState = null; // Clear reconnection state on success
+          // Versions seen before the outage may no longer apply (shadow reset)
+          shadowVersions.reset(deviceId);
+          // Reconnects resubscribe before onConnect; the first connect sends after subscribing
+          if (mqttClient.getSubscribedDevices().includes(deviceId)) {
+            flushCommandQueue(deviceId);
+          }
+          updateStatus();
+          // Emit event for this device's connection
+          node.emit('connected', deviceId);
+        },
+        onDisconnect: () => {
+          // Released idle clients are no longer tracked
+          if (mqttClients.get(deviceId) !== mqttClient) return;
+          node.warn(`MQTT disconnected: ${deviceName} (will auto-reconnect)`);
+          updateStatus();
+          // Emit event for this device's disconnection
+          node.emit('disconnected', deviceId);
+        },
+        onError: (err, context) => {
+          // Context: { recoverable, attempts, circuitBreakerOpen, failureDuration, lastConnectedAt }
+          if (context?.recoverable) {
+            // Transient error - will retry automatically
+            const failureDuration = context.failureDuration || 0;
+            const lastConnectedAgo = context.lastConnectedAt
+              ? Math.round((Date.now() - context.lastConnectedAt) / 1000)
+              : null;
+
+            let message = `MQTT ${deviceName}: ${err.message}`;
+            message += ` (attempt ${context.attempts || 1}/10)`;
+            if (failureDuration > 0) {
+              message += `, failing for ${failureDuration}s`;
+            }
+            if (lastConnectedAgo !== null) {
+              message += `, last connected ${lastConnectedAgo}s ago`;
+            }
+            message += ' - auto-retry enabled';
+
+            node.warn(message);
+
+            reconnectionState = {
+              attempts: context.attempts || 1,
+              nextRetryAt: context.nextRetryAt || Date.now() + 1000,
+              circuitBreakerOpen: context.circuitBreakerOpen || false,
+            };
             updateStatus();
-            // Emit event for this device's connection
-            node.emit('connected', deviceId);
-          },
-          onDisconnect: () => {
-            node.warn(`MQTT disconnected: ${deviceName} (will auto-reconnect)`);
+          } else {
+            // Permanent error - user action required
+            node.error(`MQTT ${deviceName}: ${err.message} - manual intervention required`);
             updateStatus();
-            // Emit event for this device's disconnection
-            node.emit('disconnected', deviceId);
-          },
-          onError: (err, context) => {
-            // Context: { recoverable, attempts, circuitBreakerOpen, failureDuration, lastConnectedAt }
-            if (context?.recoverable) {
-              // Transient error - will retry automatically
-              const failureDuration = context.failureDuration || 0;
-              const lastConnectedAgo = context.lastConnectedAt
-                ? Math.round((Date.now() - context.lastConnectedAt) / 1000)
-                : null;
-
-              let message = `MQTT ${deviceName}: ${err.message}`;
-              message += ` (attempt ${context.attempts || 1}/10)`;
-              if (failureDuration > 0) {
-                message += `, failing for ${failureDuration}s`;
-              }
-              if (lastConnectedAgo !== null) {
-                message += `, last connected ${lastConnectedAgo}s ago`;
-              }
-              message += ' - auto-retry enabled';
-
-              node.warn(message);
-
-              reconnectionState = {
-                attempts: context.attempts || 1,
-                nextRetryAt: context.nextRetryAt || Date.now() + 1000,
-                circuitBreakerOpen: context.circuitBreakerOpen || false,
-              };
-              updateStatus();
-            } else {
-              // Permanent error - user action required
-              node.error(`MQTT ${deviceName}: ${err.message} - manual intervention required`);
-              updateStatus();
-            }
-          },
-          log: msg => node.log(msg),
-          verboseLogging: config.verboseLogging || false,
-        });
+          }
+        },
+        log: msg => node.log(msg),
+        verboseLogging: config.verboseLogging || false,
+      });
 
-        mqttClients.set(deviceId, mqttClient);
+      mqttClients.set(deviceId, mqttClient);
+      updateStatus();
 
-        try {
-          await mqttClient.connect();
-          mqttClient.subscribeDevice(deviceId);
-          node.log(`MQTT connected and subscribed: ${deviceName}`);
-        } catch (err) {
-          // Initial connection failed - will auto-retry via onError callback
-          node.warn(
-            `MQTT initial connection failed for ${deviceName}: ${err.message} (auto-retry enabled)`
-          );
-        }
+      try {
+        await mqttClient.connect();
+        mqttClient.subscribeDevice(deviceId);
+        node.log(`MQTT connected and subscribed: ${deviceName}`);
+        flushCommandQueue(deviceId);
+      } catch (err) {
+        // Initial connection failed - will auto-retry via onError callback
+        node.warn(
+          `MQTT initial connection failed for ${deviceName}: ${err.message} (auto-retry enabled)`
+        );
       }
+    }
 
-      node.log(`MQTT connections established for ${mqttClients.size} device(s)`);
+    // Mark a device as used; devices without status nodes are released after the idle grace period
+    function touchDevice(deviceId) {
+      clearTimeout(idleTimers.get(deviceId));
+      idleTimers.delete(deviceId);
+      if (statusCallbacks.has(deviceId) || !mqttClients.has(deviceId)) return;
+
+      idleTimers.set(
+        deviceId,
+        setTimeout(() => releaseDevice(deviceId), MQTT_IDLE_DISCONNECT_MS)
+      );
+    }
+
+    // Close an idle device's MQTT client (reopened by the next subscribe or command)
+    function releaseDevice(deviceId) {
+      idleTimers.delete(deviceId);
+      const mqttClient = mqttClients.get(deviceId);
+      if (!mqttClient || statusCallbacks.has(deviceId)) return;
+      if (commandQueue.size(deviceId) > 0) {
+        touchDevice(deviceId);
+        return;
+      }
+
+      node.log(`Disconnecting idle device ${deviceId}`);
+      mqttClients.delete(deviceId);
+      mqttClient.disconnect();
+      shadowVersions.reset(deviceId);
+      presence.forget(deviceId);
+      // Not tracked while released; the first document after reconnecting sets it again
+      const status = deviceStatus.get(deviceId);
+      if (status) {
+        deviceStatus.set(deviceId, { ...status, presence: 'unknown' });
+      }
+      updateStatus();
+      node.emit('disconnected', deviceId);
     }
 
-    function handleStateChange(deviceId, state, type) {
+    // Tear down a device that is no longer on the account
+    function removeDevice(deviceId) {
+      clearTimeout(idleTimers.get(deviceId));
+      idleTimers.delete(deviceId);
+      const mqttClient = mqttClients.get(deviceId);
+      if (mqttClient) {
+        mqttClients.delete(deviceId);
+        mqttClient.disconnect();
+      }
+      shadowVersions.reset(deviceId);
+      presence.forget(deviceId);
+      deviceStatus.delete(deviceId);
+      pendingDesired.delete(deviceId);
+    }
+
+    // Send commands held while the device was disconnected
+    function flushCommandQueue(deviceId) {
+      const mqttClient = mqttClients.get(deviceId);
+      const count = commandQueue.size(deviceId);
+      if (count === 0 || !mqttClient || !mqttClient.isConnected()) return;
+
+      node.log(`Sending ${count} queued command(s) to ${deviceId} (${queueMode})`);
+      commandQueue.flush(deviceId, (desired, commands) =>
+        commandScheduler.schedule(deviceId, desired, { commands })
+      );
+    }
+
+    function handleStateChange(deviceId, state, type, shadowDoc) {
+      // Drop documents older than what is already merged (e.g. a late get/accepted)
+      const { accept, resync } = shadowVersions.observe(deviceId, shadowDoc?.version, {
+        snapshot: type === 'reported' || type === 'resync',
+      });
+      if (!accept) {
+        node.log(`Discarded stale ${type} for ${deviceId} (version ${shadowDoc.version})`);
+        return;
+      }
+      if (resync) {
+        requestResync(deviceId);
+      }
+
+      // update/accepted carries device reports, and echoes our own desired-only updates
+      if (type === 'update' && !state.reported) return;
+      const updateType = type === 'update' ? 'reported' : type;
+
       // Parse state based on type
-      let parsed;
-      if (type === 'reported') {
-        parsed = parseShadow({ state: { reported: state } });
-      } else if (type === 'delta') {
-        // Delta contains just the changed properties
-        parsed = { reported: state, delta: true };
+      const capabilities = node.getDeviceCapabilities(deviceId);
+      const existing = deviceStatus.get(deviceId) || {};
+      let update;
+
+      if (updateType === 'delta') {
+        // Delta holds desired values that differ from reported - track them as pending,
+        // the reported fields only change once the device confirms
+        const pending = { ...pendingDesired.get(deviceId), ...state };
+        pendingDesired.set(deviceId, pending);
+        update = { pending: parseDelta(pending, capabilities) };
       } else {
-        parsed = parseShadow(state);
+        // Keep the document's metadata for per-field timestamps
+        const reported = type === 'update' ? state.reported : state;
+        const parsed =
+          updateType === 'reported' || updateType === 'resync'
+            ? parseShadow({ ...shadowDoc, state: { reported } }, capabilities)
+            : parseShadow(state, capabilities);
+        if (!parsed) return;
+
+        update = parsed.reported;
+        reportNewFields(deviceId, update.unknownFields);
+
+        if (pendingDesired.has(deviceId)) {
+          const pending = resolvePending(pendingDesired.get(deviceId), update.raw || {});
+          pendingDesired.set(deviceId, pending);
+          update.pending = parseDelta(pending, capabilities);
+        }
+      }
+
+      if (update.errorInfo !== undefined) {
+        update.errorInfo = trackProductError(deviceId, existing.errorInfo, update.errorInfo);
       }
 
-      if (!parsed) return;
+      // Merge into device status; any shadow traffic counts for presence (sets updated.presence)
+      deviceStatus.set(deviceId, mergeStatus(existing, update));
+      presence.observe(deviceId, deviceStatus.get(deviceId).connected);
+      const updated = deviceStatus.get(deviceId);
+      if (updateType !== 'delta') {
+        confirmations.check(deviceId, updated.raw);
+      }
 
-      // Merge into device status
-      const existing = deviceStatus.get(deviceId) || {};
-      const updated = mergeStatus(existing, parsed.reported || parsed);
-      deviceStatus.set(deviceId, updated);
+      // Full state fetched after a reconnect: only worth emitting if something changed
+      // while offline (the first state of a device is a plain report)
+      let emitType = updateType;
+      if (updateType === 'resync') {
+        if (!existing.raw) {
+          emitType = 'reported';
+        } else {
+          const changed = diffStatus(existing, updated);
+          if (changed.length === 0) return;
+          node.log(`Resync for ${deviceId} changed: ${changed.join(', ')}`);
+        }
+      }
 
       // Notify subscribers
       const callbacks = statusCallbacks.get(deviceId);
       if (callbacks) {
         for (const callback of callbacks) {
-          callback(updated, type);
+          callback(updated, emitType);
         }
       }
     }
 
+    // Stamp errorInfo.since and report errors as they are raised and cleared
+    function trackProductError(deviceId, previous, current) {
+      if (current && previous && current.code === previous.code) {
+        return { ...current, since: previous.since };
+      }
+
+      const name = deviceCache.find(d => d.id === deviceId)?.name || deviceId;
+      if (previous) {
+        node.log(`${name}: ${previous.message} cleared`);
+        node.emit('error-cleared', deviceId, { previous });
+      }
+      if (!current) return null;
+
+      const errorInfo = { ...current, since: Date.now() };
+      node.warn(`${name}: ${errorInfo.message} (code ${errorInfo.code})`);
+      node.emit('error-raised', deviceId, errorInfo);
+      return errorInfo;
+    }
+
+    // Keep status.presence current and report transitions (e.g. a unit losing Wi-Fi)
+    function handlePresenceChange(deviceId, current, previous) {
+      const device = deviceCache.find(d => d.id === deviceId);
+      node.log(`${device?.name || deviceId} is ${current} (was ${previous})`);
+
+      const status = deviceStatus.get(deviceId);
+      if (status) {
+        deviceStatus.set(deviceId, { ...status, presence: current });
+      }
+      node.emit('presence', deviceId, { presence: current, previous });
+
+      // The first document of a device carries its initial presence itself
+      const callbacks = statusCallbacks.get(deviceId);
+      if (previous === 'unknown' || !status || !callbacks) return;
+      for (const callback of callbacks) {
+        callback(deviceStatus.get(deviceId), 'presence');
+      }
+    }
+
+    // Fetch the full shadow after missed updates (rate limited by the version tracker)
+    function requestResync(deviceId) {
+      const client = mqttClients.get(deviceId);
+      if (!client || !client.isConnected()) return;
+
+      node.log(`Shadow version gap for ${deviceId}, requesting full state`);
+      client.getDeviceState(deviceId).catch(err => {
+        node.warn(`Resync failed for ${deviceId}: ${err.message}`);
+      });
+    }
+
+    // Log and emit undecoded keys the first time a device reports them
+    function reportNewFields(deviceId, unknownFields) {
+      if (!unknownFields) return;
+
+      const added = knownFields.markSeen(deviceId, Object.keys(unknownFields));
+      if (added.length === 0) return;
+
+      const device = deviceCache.find(d => d.id === deviceId);
+      const deviceName = device?.name || deviceId;
+      for (const key of added) {
+        const value = unknownFields[key];
+        node.log(`New field on ${deviceName}: ${key} = ${JSON.stringify(value)}`);
+        node.emit('new-field', deviceId, { key, value });
+      }
+    }
+
     function updateStatus() {
       if (!isAuthenticated()) {
         node.status({ fill: 'red', shape: 'ring', text: 'authentication required' });
         return;
       }
 
+      // Startup failed, retrying
+      if (initRetry && mqttClients.size === 0) {
+        const retryIn = Math.max(0, Math.ceil((initRetry.nextRetryAt - Date.now()) / 1000));
+        node.status({
+          fill: 'orange',
+          shape: 'ring',
+          text: `cloud unavailable${usingCachedDevices ? ' (cached devices)' : ''}, retry in ${retryIn}s`,
+        });
+        return;
+      }
+
       const connectedCount = Array.from(mqttClients.values()).filter(c => c.isConnected()).length;
       const totalDevices = mqttClients.size;
+      // Devices no flow uses have no client
+      const idleCount = deviceCache.filter(d => !mqttClients.has(d.id)).length;
 
       // Connected - all good
       if (connectedCount > 0 && connectedCount === totalDevices) {
         node.status({
           fill: 'green',
           shape: 'dot',
-          text: `connected (${connectedCount} device${connectedCount > 1 ? 's' : ''})`,
+          text: `connected (${connectedCount} device${connectedCount > 1 ? 's' : ''}${idleCount > 0 ? `, ${idleCount} idle` : ''})`,
         });
         return;
       }
@@ -350,6 +739,8 @@ module.exports = function (RED) {
       // Initial connection
       if (totalDevices > 0) {
         node.status({ fill: 'yellow', shape: 'ring', text: 'connecting...' });
+      } else if (idleCount > 0) {
+        node.status({ fill: 'grey', shape: 'dot', text: `idle (${idleCount} devices)` });
       } else {
         node.status({ fill: 'grey', shape: 'ring', text: 'no devices' });
       }
@@ -363,24 +754,14 @@ module.exports = function (RED) {
       }
       statusCallbacks.get(deviceId).add(callback);
 
-      // Get client for this device
+      // Open the connection on first use; subscribed and resynced once connected
+      connectDevice(deviceId);
+      touchDevice(deviceId);
+
+      // Get client for this device; the full state is requested once the topics are subscribed
       const mqttClient = mqttClients.get(deviceId);
       if (mqttClient && mqttClient.isConnected()) {
         mqttClient.subscribeDevice(deviceId);
-
-        // Request initial state
-        // Delay to allow subscriptions to complete (SUBACK is async)
-        if (!deviceStatus.has(deviceId)) {
-          setTimeout(() => {
-            const client = mqttClients.get(deviceId);
-            if (client && client.isConnected() && !deviceStatus.has(deviceId)) {
-              node.log(`Requesting initial state for ${deviceId}`);
-              client.getDeviceState(deviceId).catch(err => {
-                node.warn(`Failed to get initial state: ${err.message}`);
-              });
-            }
-          }, 1000);
-        }
       }
 
       updateStatus();
@@ -399,6 +780,8 @@ module.exports = function (RED) {
           if (mqttClient) {
             mqttClient.unsubscribeDevice(deviceId);
           }
+          // Start the idle grace period (a redeploy resubscribes within it)
+          touchDevice(deviceId);
         }
       }
       updateStatus();
@@ -412,6 +795,49 @@ module.exports = function (RED) {
       return deviceStatus.get(deviceId) || null;
     };
 
+    node.getDiagnostics = function (deviceId) {
+      return {
+        shadow: shadowVersions.getStats(deviceId),
+        queuedCommands: commandQueue.size(deviceId),
+        presence: presence.get(deviceId),
+      };
+    };
+
+    // Capabilities from the model registry, falling back to the protocol seen in reported state
+    node.getDeviceCapabilities = function (deviceId) {
+      const device = deviceCache.find(d => d.id === deviceId);
+      const status = deviceStatus.get(deviceId);
+      return getCapabilities({
+        model: device?.model,
+        codename: device?.type,
+        protocolVersion: status?.protocolVersion,
+      });
+    };
+
+    // Capabilities for encoding a command. Devices missing from the model registry are detected
+    // from their reported state, fetched first (connecting the device) if none was seen yet
+    node.resolveDeviceCapabilities = async function (deviceId) {
+      const capabilities = node.getDeviceCapabilities(deviceId);
+      if (capabilities.known || deviceStatus.get(deviceId)?.protocolVersion) {
+        return capabilities;
+      }
+      node.log(`Protocol of ${deviceId} not known yet, fetching its state`);
+      await node.getDeviceState(deviceId);
+      return node.getDeviceCapabilities(deviceId);
+    };
+
+    // 'connected', 'connecting' (client open, not connected yet) or 'idle' (no client)
+    node.getConnectionState = function (deviceId) {
+      const client = mqttClients.get(deviceId);
+      if (!client) return 'idle';
+      return client.isConnected() ? 'connected' : 'connecting';
+    };
+
+    // Whether the purifier itself is reachable: online, offline, stale or unknown (see presence.js)
+    node.getPresence = function (deviceId) {
+      return presence.get(deviceId);
+    };
+
     node.isConnected = function (deviceId) {
       if (deviceId) {
         const client = mqttClients.get(deviceId);
@@ -422,6 +848,9 @@ module.exports = function (RED) {
     };
 
     node.getDeviceState = async function (deviceId) {
+      const connecting = connectDevice(deviceId);
+      touchDevice(deviceId);
+      await connecting;
       const mqttClient = mqttClients.get(deviceId);
       if (!mqttClient || !mqttClient.isConnected()) {
         throw new Error(`Not connected to device ${deviceId}`);
@@ -429,12 +858,60 @@ module.exports = function (RED) {
       return mqttClient.getDeviceState(deviceId);
     };
 
-    node.updateDeviceState = async function (deviceId, desiredState) {
+    // Send a command through the scheduler (bursts are coalesced, see commandInterval)
+    // While the client is reconnecting, commands wait in the offline queue (see queueTtl)
+    // Resolves { result, desired, coalesced, sentAt } - desired holds every value in the update
+    node.sendDeviceState = async function (deviceId, desiredState) {
+      const connecting = connectDevice(deviceId);
+      touchDevice(deviceId);
+      await connecting;
       const mqttClient = mqttClients.get(deviceId);
-      if (!mqttClient || !mqttClient.isConnected()) {
+      if (!mqttClient || (!mqttClient.isConnected() && queueTtl <= 0)) {
         throw new Error(`Not connected to device ${deviceId}`);
       }
-      return mqttClient.updateDeviceState(deviceId, desiredState);
+      if (!mqttClient.isConnected()) {
+        node.log(`Device ${deviceId} not connected, queueing command`);
+        return commandQueue.enqueue(deviceId, desiredState);
+      }
+      return commandScheduler.schedule(deviceId, desiredState);
+    };
+
+    node.updateDeviceState = async function (deviceId, desiredState) {
+      const { result } = await node.sendDeviceState(deviceId, desiredState);
+      return result;
+    };
+
+    node.isCommandQueued = function (deviceId) {
+      return !node.isConnected(deviceId) && queueTtl > 0 && mqttClients.has(deviceId);
+    };
+
+    // Send a command and wait until the device reports the requested values
+    // Resolves { result, coalesced, applied, latency, ignored } - ignored lists fields never
+    // reported back
+    node.applyDeviceState = async function (
+      deviceId,
+      desiredState,
+      { timeout = APPLY_CONFIRM_TIMEOUT_MS } = {}
+    ) {
+      const sent = await node.sendDeviceState(deviceId, desiredState);
+
+      // Expect the values actually published for this command's fields (a newer command may
+      // have been coalesced into the same update). Reports that arrived while the update was in
+      // flight are already merged into deviceStatus.
+      const expected = {};
+      for (const key of Object.keys(desiredState)) {
+        expected[key] = sent.desired[key];
+      }
+      const { applied, latency, unmatched } = await confirmations.wait(deviceId, expected, {
+        timeout,
+        reported: deviceStatus.get(deviceId)?.raw,
+        startedAt: sent.sentAt,
+      }).promise;
+
+      // Report normalized names where the keys decode, raw keys otherwise
+      const names = Object.keys(parseDelta(unmatched, node.getDeviceCapabilities(deviceId)));
+      const ignored = names.length > 0 ? names : Object.keys(unmatched);
+      return { result: sent.result, coalesced: sent.coalesced, applied, latency, ignored };
     };
 
     // Load credentials from CLI file (single source of truth)
@@ -458,8 +935,19 @@ module.exports = function (RED) {
       return false;
     }
 
-    // Initialize on startup
-    async function initialize() {
+    // Initialize on startup; retried with backoff until the API answers (see scheduleInitRetry)
+    function initialize() {
+      if (!initializing) {
+        initializing = runInitialize().finally(() => {
+          initializing = null;
+        });
+      }
+      return initializing;
+    }
+
+    async function runInitialize() {
+      clearTimeout(initRetry?.timer);
+
       // Always load from CLI file first (single source of truth)
       loadCredentialsFromCliFile();
 
@@ -475,6 +963,8 @@ module.exports = function (RED) {
         node.log('Fetching devices...');
         await fetchDevices();
         node.log(`Fetched ${deviceCache.length} device(s)`);
+        deviceCacheStore.save(getUserId(), deviceCache);
+        usingCachedDevices = false;
 
         if (deviceCache.length > 0) {
           node.log('Connecting to MQTT...');
@@ -482,23 +972,79 @@ module.exports = function (RED) {
         } else {
           node.warn('No devices found, skipping MQTT connection');
         }
+        initRetry = null;
+        startDeviceRefresh();
         updateStatus();
       } catch (err) {
-        node.error(`Initialization failed: ${err.message}`);
-        node.error(err.stack);
-        updateStatus();
+        if (closed) return;
+        scheduleInitRetry(err);
       }
     }
 
+    // The MxChip API may be down at boot; keep retrying instead of waiting for a redeploy
+    function scheduleInitRetry(err) {
+      const attempts = (initRetry?.attempts || 0) + 1;
+      const delay = Math.min(INIT_RETRY_BASE_MS * Math.pow(2, attempts - 1), INIT_RETRY_MAX_MS);
+
+      // Let the editor and nodes work with the last known devices meanwhile
+      if (deviceCache.length === 0) {
+        const cached = deviceCacheStore.load(getUserId());
+        if (cached) {
+          deviceCache = cached.devices;
+          usingCachedDevices = true;
+          node.log(
+            `Using cached device list from ${cached.savedAt} (${deviceCache.length} device(s))`
+          );
+        }
+      }
+
+      node.warn(
+        `Initialization failed: ${err.message} (retry ${attempts} in ${Math.round(delay / 1000)}s)`
+      );
+      initRetry = {
+        attempts,
+        nextRetryAt: Date.now() + delay,
+        timer: setTimeout(initialize, delay),
+      };
+      updateStatus();
+    }
+
+    // Re-read the device list now (admin route), instead of waiting for the next interval
+    node.refreshDevices = function () {
+      return refreshDevices();
+    };
+
+    // Start over now: reload credentials, fetch devices and reconnect the devices in use
+    node.reinitialize = function () {
+      node.log('Re-initializing');
+      clearTimeout(initRetry?.timer);
+      initRetry = null;
+      return initialize();
+    };
+
     // Cleanup on close
     node.on('close', function (done) {
+      closed = true;
+      clearTimeout(initRetry?.timer);
+      clearInterval(deviceRefreshTimer);
       for (const [deviceId, client] of mqttClients) {
         node.log(`Disconnecting client for ${deviceId}`);
         client.disconnect();
       }
       mqttClients.clear();
+      for (const timer of idleTimers.values()) {
+        clearTimeout(timer);
+      }
+      idleTimers.clear();
+      connectingDevices.clear();
+      mqttCredentials.clear();
+      confirmations.clear();
+      presence.clear();
+      commandQueue.clear();
+      commandScheduler.clear();
       deviceCache = [];
       deviceStatus.clear();
+      pendingDesired.clear();
       statusCallbacks.clear();
       done();
     });
@@ -596,7 +1142,73 @@ module.exports = function (RED) {
     }
 
     const devices = node.getDevices();
-    res.json(devices.map(d => ({ id: d.id, name: d.name, model: d.model })));
+    res.json(
+      devices.map(d => ({
+        id: d.id,
+        name: d.name,
+        model: d.model,
+        capabilities: node.getDeviceCapabilities(d.id),
+        connection: node.getConnectionState(d.id),
+      }))
+    );
+  });
+
+  // Re-read the device list (devices added, removed or renamed in the Philips app)
+  RED.httpAdmin.post('/philips-airplus/devices/refresh', async function (req, res) {
+    const node = RED.nodes.getNode(req.body.node);
+    if (!node || !node.refreshDevices) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    try {
+      const { added, removed, renamed } = await node.refreshDevices();
+      res.json({
+        added: added.map(d => d.id),
+        removed: removed.map(d => d.id),
+        renamed: renamed.map(r => r.device.id),
+      });
+    } catch (err) {
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  // Force a re-initialization (fetch devices, reconnect) without redeploying
+  RED.httpAdmin.post('/philips-airplus/reinit', async function (req, res) {
+    const node = RED.nodes.getNode(req.body.node);
+    if (!node || !node.reinitialize) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    await node.reinitialize();
+    res.json({ success: true, devices: node.getDevices().length });
+  });
+
+  // Per-device diagnostics (shadow version, discarded documents, resyncs)
+  RED.httpAdmin.get('/philips-airplus/diagnostics', function (req, res) {
+    const node = RED.nodes.getNode(req.query.account);
+    if (!node || !node.getDiagnostics) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    // Only devices of the account; looking up others would create tracker entries for them
+    let devices = node.getDevices();
+    if (req.query.device) {
+      devices = devices.filter(d => d.id === req.query.device);
+      if (devices.length === 0) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+    }
+    const diagnostics = {};
+    for (const device of devices) {
+      diagnostics[device.id] = node.getDiagnostics(device.id);
+    }
+    res.json(diagnostics);
+  });
+
+  // Field dictionary for the editor (optionally filtered by ?protocol=3)
+  RED.httpAdmin.get('/philips-airplus/fields', function (req, res) {
+    const protocolVersion = parseInt(req.query.protocol, 10) || undefined;
+    res.json(listFields({ protocolVersion }));
   });
 
   // Export credentials as JSON (for transfer to another instance)
@@ -4,6 +4,7 @@
  */
 
 const { buildDesiredState } = require('../lib/parser');
+const { validateControl, dropUnsupported } = require('../lib/validation');
 
 module.exports = function (RED) {
   function AirplusControlNode(config) {
@@ -13,7 +14,12 @@ module.exports = function (RED) {
     // Configuration
     const accountNodeId = config.account;
     const deviceId = config.device;
-    const deviceName = config.deviceName || deviceId;
+    let deviceName = config.deviceName || deviceId; // Follows renames in the Philips app
+    // strict: reject invalid payloads; lenient: clamp out-of-range values, drop unsupported ones
+    const strict = config.validation !== 'lenient';
+    // Confirmed apply: wait until the device reports the requested values
+    const confirm = config.confirm === true;
+    const confirmTimeout = (parseInt(config.confirmTimeout, 10) || 15) * 1000;
 
     // Get account node
     const accountNode = RED.nodes.getNode(accountNodeId);
@@ -31,7 +37,7 @@ module.exports = function (RED) {
     }
 
     // Helper to detect payload format and convert to desired state
-    function detectAndConvert(payload) {
+    async function detectAndConvert(payload) {
       if (!payload || typeof payload !== 'object') {
         throw new Error('Payload must be an object');
       }
@@ -42,20 +48,40 @@ module.exports = function (RED) {
       }
 
       // Format A: Simple format { power: true, mode: 'auto', ... }
-      return buildDesiredState(payload);
+      // Encode using the device's capabilities (model registry + detected protocol version);
+      // unknown models are connected and their state fetched before the first command
+      const capabilities = await accountNode.resolveDeviceCapabilities(deviceId);
+      const status = accountNode.getDeviceStatus(deviceId);
+      if (strict) {
+        validateControl(payload, capabilities, { status });
+        return buildDesiredState(payload, capabilities);
+      }
+      const { options, dropped } = dropUnsupported(payload, capabilities, { status });
+      if (dropped.length > 0) {
+        node.warn(`Ignoring unsupported ${dropped.join(', ')} for ${deviceName}`);
+      }
+      return buildDesiredState(options, capabilities);
     }
 
     // Handle control commands
     async function handleControl(msg, send, done) {
       try {
-        const desiredState = detectAndConvert(msg.payload);
+        const desiredState = await detectAndConvert(msg.payload);
 
         if (Object.keys(desiredState).length === 0) {
           throw new Error('No controllable properties in payload');
         }
 
-        // Send control command to device
-        const result = await accountNode.updateDeviceState(deviceId, desiredState);
+        // Send control command to device (held by the account node while reconnecting)
+        if (accountNode.isCommandQueued(deviceId)) {
+          node.status({ fill: 'yellow', shape: 'ring', text: 'queued, waiting for connection...' });
+        } else if (confirm) {
+          node.status({ fill: 'blue', shape: 'ring', text: 'waiting for device...' });
+        }
+        const outcome = confirm
+          ? await accountNode.applyDeviceState(deviceId, desiredState, { timeout: confirmTimeout })
+          : await accountNode.sendDeviceState(deviceId, desiredState);
+        const { result } = outcome;
 
         // Add result to message and send to success port
         msg.controlResult = {
@@ -63,13 +89,29 @@ module.exports = function (RED) {
           timestamp: result.timestamp || Date.now(),
           version: result.version,
           desired: result.state?.desired || desiredState,
+          // Commands merged into the same shadow update (1 = sent on its own)
+          coalesced: outcome.coalesced,
         };
 
-        node.status({
-          fill: 'green',
-          shape: 'dot',
-          text: `sent: ${JSON.stringify(desiredState).substring(0, 30)}...`,
-        });
+        if (confirm) {
+          msg.controlResult.applied = outcome.applied;
+          msg.controlResult.latency = outcome.latency;
+          msg.controlResult.ignored = outcome.ignored;
+        }
+
+        if (confirm && !outcome.applied) {
+          node.status({
+            fill: 'yellow',
+            shape: 'ring',
+            text: `not applied: ${outcome.ignored.join(', ')}`,
+          });
+        } else {
+          node.status({
+            fill: 'green',
+            shape: 'dot',
+            text: `${confirm ? 'applied' : 'sent'}: ${JSON.stringify(desiredState).substring(0, 30)}...`,
+          });
+        }
 
         send([msg, null]);
         if (done) done();
@@ -81,6 +123,8 @@ module.exports = function (RED) {
           error: {
             message: err.message,
             code: err.code || 'ERROR',
+            field: err.field,
+            awsCode: err.awsCode,
             deviceId: deviceId,
             deviceName: deviceName,
             originalPayload: msg.payload,
@@ -145,6 +189,11 @@ module.exports = function (RED) {
 
     // Update status indicator based on connection state
     function updateConnectionStatus() {
+      // The account node connects a device on its first command
+      if (accountNode.getConnectionState(deviceId) === 'idle') {
+        node.status({ fill: 'grey', shape: 'ring', text: 'idle' });
+        return;
+      }
       const connected = accountNode.isConnected(deviceId);
       node.status({
         fill: connected ? 'green' : 'yellow',
@@ -166,13 +215,21 @@ module.exports = function (RED) {
       }
     };
 
+    const onRenamed = (renamedDeviceId, { name }) => {
+      if (renamedDeviceId === deviceId) {
+        deviceName = name;
+      }
+    };
+
     accountNode.on('connected', onConnected);
     accountNode.on('disconnected', onDisconnected);
+    accountNode.on('device-renamed', onRenamed);
 
     // Cleanup on close
     node.on('close', function (done) {
       accountNode.removeListener('connected', onConnected);
       accountNode.removeListener('disconnected', onDisconnected);
+      accountNode.removeListener('device-renamed', onRenamed);
       done();
     });
 
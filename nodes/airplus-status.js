@@ -3,6 +3,14 @@
  * Subscribes to a device and outputs status updates.
  */
 
+const { parseMaxAge, findStaleFields } = require('../lib/freshness');
+
+// Status colour when the device is not online (online keeps the connection colour)
+const PRESENCE_FILL = { offline: 'red', stale: 'grey' };
+
+// Status colour for a reported product error (info-level errors keep the connection colour)
+const ERROR_FILL = { warning: 'yellow', error: 'red' };
+
 module.exports = function (RED) {
   function AirplusStatusNode(config) {
     RED.nodes.createNode(this, config);
@@ -11,7 +19,13 @@ module.exports = function (RED) {
     // Configuration
     const accountNodeId = config.account;
     const deviceId = config.device;
-    const deviceName = config.deviceName || deviceId;
+    let deviceName = config.deviceName || deviceId; // Follows renames in the Philips app
+    let maxAge = null;
+    try {
+      maxAge = parseMaxAge(config.maxAge);
+    } catch (err) {
+      node.warn(`${err.message} - stale check disabled`);
+    }
 
     // Get account node
     const accountNode = RED.nodes.getNode(accountNodeId);
@@ -43,13 +57,18 @@ module.exports = function (RED) {
         updateType: type,
       };
 
+      const stale = maxAge ? findStaleFields(status, maxAge) : [];
+      if (maxAge) {
+        msg.stale = stale;
+      }
+
       node.send(msg);
 
       // Update node status with key metrics
-      updateNodeStatus(status);
+      updateNodeStatus(status, stale);
     }
 
-    function updateNodeStatus(status) {
+    function updateNodeStatus(status, stale = []) {
       if (!status) {
         node.status({ fill: 'grey', shape: 'ring', text: 'waiting...' });
         return;
@@ -57,6 +76,17 @@ module.exports = function (RED) {
 
       const parts = [];
 
+      // The purifier itself, not our connection: off Wi-Fi (cloud says so) or silent
+      if (status.presence === 'offline') {
+        parts.push('offline');
+      } else if (status.presence === 'stale') {
+        parts.push('no updates');
+      }
+
+      if (status.errorInfo) {
+        parts.push(status.errorInfo.message);
+      }
+
       if (status.power !== undefined) {
         parts.push(status.power ? 'ON' : 'OFF');
       }
@@ -69,22 +99,33 @@ module.exports = function (RED) {
         parts.push(`${status.humidity}%`);
       }
 
+      if (stale.length > 0) {
+        parts.push(`stale: ${stale.join(', ')}`);
+      }
+
       if (parts.length > 0) {
         const connected = accountNode.isConnected(deviceId);
+        const fill =
+          PRESENCE_FILL[status.presence] ||
+          ERROR_FILL[status.errorInfo?.severity] ||
+          (connected ? 'green' : 'yellow');
         node.status({
-          fill: connected ? 'green' : 'yellow',
+          fill,
           shape: connected ? 'dot' : 'ring',
           text: parts.join(' | '),
         });
       }
     }
 
-    // Subscribe to device updates
+    // Subscribe to device updates; the account connects the device on first subscribe
     async function subscribe() {
       const currentStatus = accountNode.subscribe(deviceId, onStatusUpdate);
       if (currentStatus) {
         // Emit current status immediately
         onStatusUpdate(currentStatus, 'initial');
+      } else if (!accountNode.isConnected(deviceId)) {
+        // The account fetches the full shadow once the device is connected and subscribed
+        node.status({ fill: 'yellow', shape: 'ring', text: 'waiting for connection...' });
       } else {
         node.status({ fill: 'yellow', shape: 'ring', text: 'fetching...' });
         // No cached status - request fresh state immediately
@@ -105,10 +146,15 @@ module.exports = function (RED) {
     }
 
     // Listen to connection events for this specific device
+    // The account resubscribes and fetches the full shadow after every (re)connect, which reaches
+    // onStatusUpdate; no request and no 'initial' re-emit of the cached status here
     const onConnected = connectedDeviceId => {
       if (connectedDeviceId === deviceId) {
-        // Device just connected - subscribe to updates
-        subscribe();
+        if (lastStatus) {
+          updateNodeStatus(lastStatus);
+        } else {
+          node.status({ fill: 'yellow', shape: 'ring', text: 'waiting for updates...' });
+        }
       }
     };
 
@@ -123,21 +169,38 @@ module.exports = function (RED) {
       }
     };
 
+    const onRenamed = (renamedDeviceId, { name }) => {
+      if (renamedDeviceId === deviceId) {
+        deviceName = name;
+      }
+    };
+
+    const onRemoved = removedDeviceId => {
+      if (removedDeviceId === deviceId) {
+        node.status({ fill: 'red', shape: 'ring', text: 'device removed from account' });
+      }
+    };
+
     accountNode.on('connected', onConnected);
     accountNode.on('disconnected', onDisconnected);
+    accountNode.on('device-renamed', onRenamed);
+    accountNode.on('device-removed', onRemoved);
 
     // Set initial status before checking connection
     node.status({ fill: 'grey', shape: 'ring', text: 'initializing...' });
 
-    // Wait for account node to be ready
-    if (accountNode.isConnected(deviceId)) {
-      subscribe();
-    } else {
-      node.status({ fill: 'yellow', shape: 'ring', text: 'waiting for connection...' });
-    }
+    // Register right away, even before the account has connected the device
+    subscribe();
 
     // Handle manual trigger input
     node.on('input', async function (msg, send, done) {
+      // Re-initialize the account (e.g. after a cloud outage at startup)
+      if (msg.topic === 'reinit') {
+        await accountNode.reinitialize();
+        if (done) done();
+        return;
+      }
+
       try {
         // Trigger shadow GET - subscription callback will emit when response arrives
         await accountNode.getDeviceState(deviceId);
@@ -153,6 +216,8 @@ module.exports = function (RED) {
       accountNode.unsubscribe(deviceId, onStatusUpdate);
       accountNode.removeListener('connected', onConnected);
       accountNode.removeListener('disconnected', onDisconnected);
+      accountNode.removeListener('device-renamed', onRenamed);
+      accountNode.removeListener('device-removed', onRemoved);
       done();
     });
   }
@@ -0,0 +1,170 @@
+/**
+ * Tests for the account node.
+ * Runs the node in a minimal Node-RED runtime with the cloud API and MQTT mocked.
+ */
+
+const os = require('os');
+const path = require('path');
+const {
+  useTempHome,
+  createRuntime,
+  createFakeMqttClient,
+  accountCredentials,
+  settle,
+} = require('./helpers/node-red');
+const { MQTT_IDLE_DISCONNECT_MS } = require('../lib/constants');
+const { createDeviceCacheStore } = require('../lib/device-cache');
+
+jest.mock('../lib/api', () => ({ createApiClient: jest.fn() }));
+jest.mock('../lib/mqtt', () => ({ createMqttClient: jest.fn() }));
+
+const { createApiClient } = require('../lib/api');
+const { createMqttClient } = require('../lib/mqtt');
+
+const DEVICE = { id: 'dev-1', name: 'Living Room', model: 'AC0650/10' };
+
+describe('airplus-account', () => {
+  let runtime;
+  let api;
+
+  // The account node keeps its files under ~/.philips-airplus
+  useTempHome('airplus-account-');
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    api = {
+      listDevices: jest.fn().mockResolvedValue([DEVICE]),
+      getMqttInfo: jest.fn(async (userId, deviceIds) => deviceIds.map(id => ({ device_id: id }))),
+      clearToken: jest.fn(),
+    };
+    createApiClient.mockReturnValue(api);
+    createMqttClient.mockImplementation(createFakeMqttClient);
+
+    runtime = createRuntime();
+    jest.isolateModules(() => {
+      require('../nodes/airplus-account')(runtime.RED);
+    });
+  });
+
+  afterEach(() => {
+    runtime.close();
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  async function deployAccount() {
+    const account = runtime.deploy('airplus-account', {
+      id: 'account-1',
+      credentials: accountCredentials(),
+    });
+    await settle();
+    return account;
+  }
+
+  function report(client, reported, version) {
+    client.options.onStateChange('dev-1', reported, 'reported', {
+      state: { reported },
+      version,
+    });
+  }
+
+  // Calls an admin route handler; resolves the response body and status
+  async function callRoute(method, route, req) {
+    const [, handler] = runtime.RED.httpAdmin[method].mock.calls.find(([p]) => p === route);
+    const res = { statusCode: 200 };
+    res.status = jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    });
+    res.json = jest.fn(body => {
+      res.body = body;
+    });
+    await handler(req, res);
+    return res;
+  }
+
+  describe('device list', () => {
+    it('leaves the cached devices when a refresh reaches the cloud', async () => {
+      const file = path.join(os.homedir(), '.philips-airplus', 'devices.json');
+      createDeviceCacheStore({ file }).save('user-1', [DEVICE]);
+      api.listDevices.mockRejectedValueOnce(new Error('Service unavailable'));
+      const account = await deployAccount();
+      account.subscribe('dev-1', jest.fn());
+      await settle();
+      expect(createMqttClient).not.toHaveBeenCalled();
+
+      const res = await callRoute('post', '/philips-airplus/devices/refresh', {
+        body: { node: 'account-1' },
+      });
+      await settle();
+
+      expect(res.statusCode).toBe(200);
+      expect(createMqttClient).toHaveBeenCalledTimes(1);
+      expect(account.isConnected('dev-1')).toBe(true);
+    });
+  });
+
+  describe('diagnostics', () => {
+    it('only reports devices of the account', async () => {
+      await deployAccount();
+
+      const known = await callRoute('get', '/philips-airplus/diagnostics', {
+        query: { account: 'account-1', device: 'dev-1' },
+      });
+      const unknown = await callRoute('get', '/philips-airplus/diagnostics', {
+        query: { account: 'account-1', device: 'other' },
+      });
+
+      expect(Object.keys(known.body)).toEqual(['dev-1']);
+      expect(unknown.statusCode).toBe(404);
+    });
+  });
+
+  describe('command scheduling', () => {
+    it('queues a coalesced command when the connection drops before it is sent', async () => {
+      const account = await deployAccount();
+      await account.sendDeviceState('dev-1', { D03102: 1 });
+      const client = createMqttClient.mock.results[0].value;
+      let online = true;
+      client.isConnected = () => online;
+      const next = account.sendDeviceState('dev-1', { D0310C: 2 });
+      await settle();
+
+      online = false;
+      client.options.onDisconnect();
+      jest.advanceTimersByTime(1000);
+      await settle();
+      expect(client.updateDeviceState).toHaveBeenCalledTimes(1);
+      expect(account.getDiagnostics('dev-1').queuedCommands).toBe(1);
+
+      online = true;
+      client.options.onConnect();
+      jest.advanceTimersByTime(1000);
+      const outcome = await next;
+
+      expect(client.updateDeviceState).toHaveBeenLastCalledWith('dev-1', { D0310C: 2 });
+      expect(outcome.desired).toEqual({ D0310C: 2 });
+    });
+  });
+
+  describe('idle connections', () => {
+    it('forgets the presence of a released device until it reports again', async () => {
+      const account = await deployAccount();
+      await account.sendDeviceState('dev-1', { D03102: 1 });
+      const first = createMqttClient.mock.results[0].value;
+      report(first, { D03102: 1 }, 1);
+      expect(account.getDeviceStatus('dev-1').presence).toBe('online');
+
+      jest.advanceTimersByTime(MQTT_IDLE_DISCONNECT_MS);
+
+      expect(first.disconnect).toHaveBeenCalled();
+      expect(account.getDeviceStatus('dev-1').presence).toBe('unknown');
+
+      await account.sendDeviceState('dev-1', { D03102: 0 });
+      const second = createMqttClient.mock.results[1].value;
+      report(second, { D03102: 0, connected: false }, 1);
+
+      expect(account.getDeviceStatus('dev-1').presence).toBe('offline');
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests for the control node together with its account node.
+ * Runs both nodes in a minimal Node-RED runtime with the cloud API and MQTT mocked.
+ */
+
+const {
+  useTempHome,
+  createRuntime,
+  createFakeMqttClient,
+  accountCredentials,
+  settle,
+} = require('./helpers/node-red');
+
+jest.mock('../lib/api', () => ({ createApiClient: jest.fn() }));
+jest.mock('../lib/mqtt', () => ({ createMqttClient: jest.fn() }));
+
+const { createApiClient } = require('../lib/api');
+const { createMqttClient } = require('../lib/mqtt');
+
+const DEVICE = { id: 'dev-1', name: 'Bedroom', model: 'AC3737/10' };
+
+describe('airplus-control', () => {
+  let runtime;
+
+  // The account node keeps its files under ~/.philips-airplus
+  useTempHome('airplus-control-');
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    createApiClient.mockReturnValue({
+      listDevices: jest.fn().mockResolvedValue([DEVICE]),
+      getMqttInfo: jest.fn(async (userId, deviceIds) => deviceIds.map(id => ({ device_id: id }))),
+      clearToken: jest.fn(),
+    });
+    createMqttClient.mockImplementation(createFakeMqttClient);
+
+    runtime = createRuntime();
+    jest.isolateModules(() => {
+      require('../nodes/airplus-account')(runtime.RED);
+      require('../nodes/airplus-control')(runtime.RED);
+    });
+  });
+
+  afterEach(() => {
+    runtime.close();
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  async function deploy(config) {
+    const account = runtime.deploy('airplus-account', {
+      id: 'account-1',
+      credentials: accountCredentials(),
+    });
+    const control = runtime.deploy('airplus-control', {
+      id: 'control-1',
+      account: 'account-1',
+      device: 'dev-1',
+      ...config,
+    });
+    await settle();
+    return { account, control };
+  }
+
+  // Resolves the messages sent to [port 1, port 2]
+  function input(node, payload) {
+    return new Promise(resolve => {
+      let sent = null;
+      node.emit(
+        'input',
+        { payload },
+        messages => {
+          sent = messages;
+        },
+        () => resolve(sent)
+      );
+    });
+  }
+
+  function publishedDesired() {
+    const client = createMqttClient.mock.results[0].value;
+    return client.updateDeviceState.mock.calls.map(([, desired]) => desired);
+  }
+
+  describe('lenient validation', () => {
+    it('drops the purify function while its code is unverified', async () => {
+      const { control } = await deploy({ validation: 'lenient' });
+
+      const [ok] = await input(control, { function: 'purify', targetHumidity: 50 });
+
+      expect(ok).not.toBeNull();
+      expect(publishedDesired()).toEqual([{ D03128: 50 }]);
+      expect(control.warn).toHaveBeenCalledWith(expect.stringContaining('function'));
+    });
+
+    it('keeps targetHumidity while the device reports an unknown function code', async () => {
+      const { account, control } = await deploy({ validation: 'lenient' });
+      await input(control, { power: true });
+      const client = createMqttClient.mock.results[0].value;
+      const reported = { D03102: 1, D0310A: 3 };
+      client.options.onStateChange('dev-1', reported, 'reported', {
+        state: { reported },
+        version: 1,
+      });
+      expect(account.getDeviceStatus('dev-1').function).toBe('function_3');
+
+      jest.advanceTimersByTime(1000);
+      const [ok] = await input(control, { targetHumidity: 50 });
+
+      expect(ok).not.toBeNull();
+      expect(publishedDesired()).toEqual([{ D03102: 1 }, { D03128: 50 }]);
+    });
+
+    it('drops a mode the model does not offer with its fan speed', async () => {
+      const { control } = await deploy({ validation: 'lenient' });
+
+      await input(control, { power: true, mode: 'turbo2', fanSpeed: 2 });
+
+      expect(publishedDesired()).toEqual([{ D03102: 1 }]);
+    });
+
+    it('still clamps out-of-range values', async () => {
+      const { control } = await deploy({ validation: 'lenient' });
+
+      await input(control, { mode: 'manual', fanSpeed: 5 });
+
+      expect(publishedDesired()).toEqual([{ D0310C: 2 }]);
+    });
+  });
+
+  describe('unregistered model', () => {
+    it('fetches the state to detect the protocol before encoding', async () => {
+      createApiClient.mockReturnValue({
+        listDevices: jest.fn().mockResolvedValue([{ ...DEVICE, model: 'AC0650/10' }]),
+        getMqttInfo: jest.fn(async (userId, deviceIds) => deviceIds.map(id => ({ device_id: id }))),
+        clearToken: jest.fn(),
+      });
+      createMqttClient.mockImplementation(options => {
+        const client = createFakeMqttClient(options);
+        client.getDeviceState.mockImplementation(async id => {
+          const reported = { pwr: '0', mode: 'A' };
+          const doc = { state: { reported }, version: 1 };
+          options.onStateChange(id, reported, 'reported', doc);
+          return doc;
+        });
+        return client;
+      });
+      const { control } = await deploy({});
+
+      const [ok] = await input(control, { power: true, mode: 'turbo' });
+
+      expect(ok).not.toBeNull();
+      expect(publishedDesired()).toEqual([{ pwr: '1', mode: 'T' }]);
+    });
+  });
+
+  describe('confirm', () => {
+    it('lists the fields the device did not apply', async () => {
+      const { control } = await deploy({ confirm: true, confirmTimeout: '5' });
+
+      const sent = input(control, { power: true, mode: 'turbo' });
+      await settle();
+      const client = createMqttClient.mock.results[0].value;
+      const reported = { D03102: 1, D0310C: 0 };
+      client.options.onStateChange('dev-1', reported, 'reported', {
+        state: { reported },
+        version: 1,
+      });
+      jest.advanceTimersByTime(5000);
+      const [ok] = await sent;
+
+      expect(ok.controlResult.applied).toBe(false);
+      expect(ok.controlResult.ignored).toEqual(['mode']);
+    });
+  });
+
+  describe('strict validation', () => {
+    it('rejects the purify function while its code is unverified', async () => {
+      const { control } = await deploy({ validation: 'strict' });
+
+      const [, failed] = await input(control, { function: 'purify', targetHumidity: 50 });
+
+      expect(failed.error.code).toBe('INVALID_VALUE');
+      expect(failed.error.field).toBe('function');
+      expect(createMqttClient).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for the status node together with its account node.
+ * Runs both nodes in a minimal Node-RED runtime with the cloud API and MQTT mocked.
+ */
+
+const {
+  useTempHome,
+  createRuntime,
+  createFakeMqttClient,
+  accountCredentials,
+  settle,
+} = require('./helpers/node-red');
+
+jest.mock('../lib/api', () => ({ createApiClient: jest.fn() }));
+jest.mock('../lib/mqtt', () => ({ createMqttClient: jest.fn() }));
+
+const { createApiClient } = require('../lib/api');
+const { createMqttClient } = require('../lib/mqtt');
+
+const DEVICE = { id: 'dev-1', name: 'Living Room', model: 'AC0650/10' };
+
+describe('airplus-status', () => {
+  let runtime;
+
+  // The account node keeps its files under ~/.philips-airplus
+  useTempHome('airplus-status-');
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    createApiClient.mockReturnValue({
+      listDevices: jest.fn().mockResolvedValue([DEVICE]),
+      getMqttInfo: jest.fn(async (userId, deviceIds) => deviceIds.map(id => ({ device_id: id }))),
+      clearToken: jest.fn(),
+    });
+    createMqttClient.mockImplementation(createFakeMqttClient);
+
+    runtime = createRuntime();
+    jest.isolateModules(() => {
+      require('../nodes/airplus-account')(runtime.RED);
+      require('../nodes/airplus-status')(runtime.RED);
+    });
+  });
+
+  afterEach(() => {
+    runtime.close();
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  function deployAccount() {
+    return runtime.deploy('airplus-account', {
+      id: 'account-1',
+      credentials: accountCredentials(),
+    });
+  }
+
+  function deployStatus() {
+    return runtime.deploy('airplus-status', {
+      id: 'status-1',
+      account: 'account-1',
+      device: 'dev-1',
+    });
+  }
+
+  it('connects the device of a status node deployed with its account', async () => {
+    const account = deployAccount();
+    deployStatus();
+
+    await settle();
+
+    expect(createMqttClient).toHaveBeenCalledTimes(1);
+    const client = createMqttClient.mock.results[0].value;
+    expect(client.connect).toHaveBeenCalled();
+    expect(client.subscribeDevice).toHaveBeenCalledWith('dev-1');
+    expect(account.isConnected('dev-1')).toBe(true);
+  });
+
+  it('connects the device of a status node deployed after startup', async () => {
+    const account = deployAccount();
+    await settle();
+    expect(createMqttClient).not.toHaveBeenCalled();
+
+    deployStatus();
+    await settle();
+
+    expect(createMqttClient).toHaveBeenCalledTimes(1);
+    expect(account.isConnected('dev-1')).toBe(true);
+  });
+
+  it('leaves the initial shadow request to the subscription', async () => {
+    deployAccount();
+    deployStatus();
+    await settle();
+
+    jest.advanceTimersByTime(5000);
+
+    // Only the account's resync after SUBACK (lib/mqtt.js), not mocked here
+    const client = createMqttClient.mock.results[0].value;
+    expect(client.getDeviceState).not.toHaveBeenCalled();
+  });
+
+  it('waits for the state once the device is connected', async () => {
+    deployAccount();
+    const status = deployStatus();
+
+    await settle();
+
+    expect(status.status).toHaveBeenLastCalledWith({
+      fill: 'yellow',
+      shape: 'ring',
+      text: 'waiting for updates...',
+    });
+  });
+
+  it('does not re-emit the cached state on reconnect', async () => {
+    deployAccount();
+    const status = deployStatus();
+    await settle();
+    const client = createMqttClient.mock.results[0].value;
+    const reported = { pwr: '1', mode: 'A' };
+    client.options.onStateChange('dev-1', reported, 'reported', { state: { reported } });
+    expect(status.send).toHaveBeenCalledTimes(1);
+
+    client.options.onDisconnect();
+    client.options.onConnect();
+    await settle();
+
+    expect(status.send).toHaveBeenCalledTimes(1);
+    expect(client.getDeviceState).not.toHaveBeenCalled();
+  });
+});
@@ -220,6 +220,36 @@ describe('api', () => {
         const body = JSON.parse(mqttCall[1].body);
         expect(body.device_id).toEqual(['dev-1', 'dev-2']);
       });
+
+      it('sets the HTTP status on rejected requests', async () => {
+        const mockFetch = createMockFetch([
+          { data: { timestamp1: 1000000 }, meta: { code: 0 } },
+          { data: { token: 'jwt-token' }, meta: { code: 0 } },
+          { ok: false, status: 401, text: () => Promise.resolve('token expired') },
+        ]);
+
+        const client = createApiClient({ fetchFn: mockFetch });
+
+        await expect(client.getMqttInfo('PHILIPS:user-123', ['dev-1'])).rejects.toMatchObject({
+          message: 'API error: 401 - token expired',
+          status: 401,
+        });
+      });
+
+      it('sets the API code on error responses', async () => {
+        const mockFetch = createMockFetch([
+          { data: { timestamp1: 1000000 }, meta: { code: 0 } },
+          { data: { token: 'jwt-token' }, meta: { code: 0 } },
+          { meta: { code: 1, message: 'failed' } },
+        ]);
+
+        const client = createApiClient({ fetchFn: mockFetch });
+
+        await expect(client.getMqttInfo('PHILIPS:user-123', ['dev-1'])).rejects.toMatchObject({
+          apiCode: 1,
+          apiMessage: 'failed',
+        });
+      });
     });
   });
 
@@ -0,0 +1,129 @@
+/**
+ * Tests for offline command queue module.
+ */
+
+const { createCommandQueue } = require('../lib/command-queue');
+
+describe('command-queue', () => {
+  describe('createCommandQueue', () => {
+    let queue;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      queue.clear();
+      jest.useRealTimers();
+    });
+
+    it('merges queued commands to the latest value per field', async () => {
+      queue = createCommandQueue({ ttl: 60000 });
+      const first = queue.enqueue('dev-1', { D03102: 1, D0310C: 1 });
+      const second = queue.enqueue('dev-1', { D0310C: 2 });
+      const sendCommand = jest.fn().mockResolvedValue({ version: 12 });
+
+      await expect(queue.flush('dev-1', sendCommand)).resolves.toBe(2);
+
+      expect(sendCommand).toHaveBeenCalledTimes(1);
+      expect(sendCommand).toHaveBeenCalledWith({ D03102: 1, D0310C: 2 }, 2);
+      await expect(first).resolves.toEqual({ version: 12 });
+      await expect(second).resolves.toEqual({ version: 12 });
+    });
+
+    it('counts commands merged before they were queued', async () => {
+      queue = createCommandQueue({ ttl: 60000 });
+      queue.enqueue('dev-1', { D0310C: 1 }, { commands: 3 });
+      queue.enqueue('dev-1', { D0310C: 2 });
+      const sendCommand = jest.fn().mockResolvedValue({ version: 12 });
+
+      await queue.flush('dev-1', sendCommand);
+
+      expect(sendCommand).toHaveBeenCalledWith({ D0310C: 2 }, 4);
+    });
+
+    it('sends queued commands one by one in ordered mode', async () => {
+      queue = createCommandQueue({ ttl: 60000, merge: false });
+      const first = queue.enqueue('dev-1', { D0310C: 1 });
+      const second = queue.enqueue('dev-1', { D0310C: 2 });
+      const sendCommand = jest
+        .fn()
+        .mockResolvedValueOnce({ version: 12 })
+        .mockResolvedValueOnce({ version: 13 });
+
+      await queue.flush('dev-1', sendCommand);
+
+      expect(sendCommand.mock.calls).toEqual([
+        [{ D0310C: 1 }, 1],
+        [{ D0310C: 2 }, 1],
+      ]);
+      await expect(first).resolves.toEqual({ version: 12 });
+      await expect(second).resolves.toEqual({ version: 13 });
+    });
+
+    it('keeps queues per device', async () => {
+      queue = createCommandQueue({ ttl: 60000 });
+      queue.enqueue('dev-1', { D0310C: 1 });
+      queue.enqueue('dev-2', { D0310C: 2 }).catch(() => {});
+      const sendCommand = jest.fn().mockResolvedValue({});
+
+      await queue.flush('dev-1', sendCommand);
+
+      expect(sendCommand).toHaveBeenCalledWith({ D0310C: 1 }, 1);
+      expect(queue.size('dev-1')).toBe(0);
+      expect(queue.size('dev-2')).toBe(1);
+    });
+
+    it('passes send errors to the queued commands', async () => {
+      queue = createCommandQueue({ ttl: 60000 });
+      const command = queue.enqueue('dev-1', { D0310C: 1 });
+
+      await queue.flush('dev-1', () => Promise.reject(new Error('Not connected')));
+
+      await expect(command).rejects.toThrow('Not connected');
+    });
+
+    it('rejects commands with QUEUE_EXPIRED after the TTL', async () => {
+      queue = createCommandQueue({ ttl: 30000 });
+      const command = queue.enqueue('dev-1', { D0310C: 1 });
+
+      jest.advanceTimersByTime(30000);
+
+      await expect(command).rejects.toMatchObject({ code: 'QUEUE_EXPIRED' });
+      expect(queue.size('dev-1')).toBe(0);
+    });
+
+    it('does not send expired commands', async () => {
+      queue = createCommandQueue({ ttl: 30000 });
+      const expired = queue.enqueue('dev-1', { D0310C: 1 });
+      jest.advanceTimersByTime(20000);
+      queue.enqueue('dev-1', { D03102: 1 });
+      jest.advanceTimersByTime(10000);
+      const sendCommand = jest.fn().mockResolvedValue({});
+
+      await queue.flush('dev-1', sendCommand);
+
+      await expect(expired).rejects.toMatchObject({ code: 'QUEUE_EXPIRED' });
+      expect(sendCommand).toHaveBeenCalledWith({ D03102: 1 }, 1);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('does nothing when no commands are queued', async () => {
+      queue = createCommandQueue();
+      const sendCommand = jest.fn();
+
+      await expect(queue.flush('dev-1', sendCommand)).resolves.toBe(0);
+      expect(sendCommand).not.toHaveBeenCalled();
+    });
+
+    it('rejects queued commands on clear', async () => {
+      queue = createCommandQueue({ ttl: 60000 });
+      const command = queue.enqueue('dev-1', { D0310C: 1 });
+
+      queue.clear();
+
+      await expect(command).rejects.toThrow('Command queue closed');
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+});
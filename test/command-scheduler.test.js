@@ -0,0 +1,142 @@
+/**
+ * Tests for per-device command scheduler module.
+ */
+
+const { createCommandScheduler } = require('../lib/command-scheduler');
+
+describe('command-scheduler', () => {
+  describe('createCommandScheduler', () => {
+    let sendCommand;
+    let scheduler;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(1000000);
+      sendCommand = jest.fn().mockResolvedValue({ version: 7 });
+      scheduler = createCommandScheduler({ sendCommand, minInterval: 1000 });
+    });
+
+    afterEach(() => {
+      scheduler.clear();
+      jest.useRealTimers();
+    });
+
+    it('sends the first command right away', async () => {
+      const outcome = await scheduler.schedule('dev-1', { D0310C: 1 });
+
+      expect(sendCommand).toHaveBeenCalledWith('dev-1', { D0310C: 1 });
+      expect(outcome).toEqual({
+        result: { version: 7 },
+        desired: { D0310C: 1 },
+        coalesced: 1,
+        sentAt: 1000000,
+      });
+    });
+
+    it('coalesces a burst into one update with the newest value per field', async () => {
+      const first = scheduler.schedule('dev-1', { D0310C: 1 });
+      const second = scheduler.schedule('dev-1', { D0310C: 2, D03102: 1 });
+      const third = scheduler.schedule('dev-1', { D0310C: 3 });
+      await first;
+
+      expect(sendCommand).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(sendCommand).toHaveBeenCalledTimes(2);
+      expect(sendCommand).toHaveBeenLastCalledWith('dev-1', { D0310C: 3, D03102: 1 });
+      const outcomes = await Promise.all([second, third]);
+      outcomes.forEach(outcome =>
+        expect(outcome).toMatchObject({ coalesced: 2, desired: { D0310C: 3, D03102: 1 } })
+      );
+      expect((await first).coalesced).toBe(1);
+    });
+
+    it('enforces the minimum interval between publishes', async () => {
+      await scheduler.schedule('dev-1', { D0310C: 1 });
+      jest.advanceTimersByTime(400);
+      const next = scheduler.schedule('dev-1', { D0310C: 2 });
+
+      await jest.advanceTimersByTimeAsync(599);
+      expect(sendCommand).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(sendCommand).toHaveBeenCalledTimes(2);
+      await expect(next).resolves.toMatchObject({ sentAt: 1001000 });
+    });
+
+    it('sends right away after a quiet period', async () => {
+      await scheduler.schedule('dev-1', { D0310C: 1 });
+      jest.advanceTimersByTime(5000);
+
+      scheduler.schedule('dev-1', { D0310C: 2 });
+
+      expect(sendCommand).toHaveBeenCalledTimes(2);
+    });
+
+    it('schedules devices independently', () => {
+      scheduler.schedule('dev-1', { D0310C: 1 });
+      scheduler.schedule('dev-2', { D0310C: 2 });
+
+      expect(sendCommand).toHaveBeenCalledWith('dev-1', { D0310C: 1 });
+      expect(sendCommand).toHaveBeenCalledWith('dev-2', { D0310C: 2 });
+    });
+
+    it('counts commands merged by the offline queue', async () => {
+      const outcome = await scheduler.schedule('dev-1', { D0310C: 1 }, { commands: 3 });
+
+      expect(outcome.coalesced).toBe(3);
+    });
+
+    it('sends every command right away without an interval', () => {
+      scheduler = createCommandScheduler({ sendCommand, minInterval: 0 });
+
+      scheduler.schedule('dev-1', { D0310C: 1 });
+      scheduler.schedule('dev-1', { D0310C: 2 });
+
+      expect(sendCommand).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects every coalesced command when the publish fails', async () => {
+      await scheduler.schedule('dev-1', { D0310C: 1 });
+      sendCommand.mockRejectedValue(new Error('Not connected'));
+      const first = scheduler.schedule('dev-1', { D0310C: 2 });
+      const second = scheduler.schedule('dev-1', { D03102: 1 });
+      const results = Promise.allSettled([first, second]);
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect((await results).map(result => result.reason?.message)).toEqual([
+        'Not connected',
+        'Not connected',
+      ]);
+    });
+
+    it('hands a batch to holdCommand instead of publishing it', async () => {
+      const holdCommand = jest.fn().mockReturnValue(null);
+      scheduler = createCommandScheduler({ sendCommand, holdCommand, minInterval: 1000 });
+      await scheduler.schedule('dev-1', { D0310C: 1 });
+      const later = { result: { version: 8 }, desired: { D0310C: 3 }, coalesced: 2, sentAt: 1 };
+      holdCommand.mockReturnValue(Promise.resolve(later));
+      const first = scheduler.schedule('dev-1', { D0310C: 2 });
+      const second = scheduler.schedule('dev-1', { D0310C: 3 });
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(holdCommand).toHaveBeenLastCalledWith('dev-1', { D0310C: 3 }, 2);
+      expect(sendCommand).toHaveBeenCalledTimes(1);
+      await expect(first).resolves.toBe(later);
+      await expect(second).resolves.toBe(later);
+    });
+
+    it('rejects waiting commands on clear', async () => {
+      await scheduler.schedule('dev-1', { D0310C: 1 });
+      const next = scheduler.schedule('dev-1', { D0310C: 2 });
+
+      scheduler.clear();
+
+      await expect(next).rejects.toThrow('Command scheduler closed');
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+});
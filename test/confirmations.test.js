@@ -0,0 +1,115 @@
+/**
+ * Tests for command confirmation tracking module.
+ */
+
+const { createConfirmationTracker } = require('../lib/confirmations');
+
+describe('confirmations', () => {
+  describe('createConfirmationTracker', () => {
+    let time;
+    let tracker;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      time = 1000000;
+      tracker = createConfirmationTracker({ now: () => time });
+    });
+
+    afterEach(() => {
+      tracker.clear();
+      jest.useRealTimers();
+    });
+
+    it('confirms immediately when the reported state already matches', async () => {
+      const { promise } = tracker.wait(
+        'dev-1',
+        { D0310C: 2 },
+        { timeout: 15000, reported: { D0310C: 2, D03102: 1 } }
+      );
+
+      await expect(promise).resolves.toEqual({ applied: true, latency: 0, unmatched: {} });
+    });
+
+    it('confirms once the device reports the desired values', async () => {
+      const { promise } = tracker.wait(
+        'dev-1',
+        { D0310C: 2, D03102: 1 },
+        { timeout: 15000, reported: { D0310C: 0 } }
+      );
+
+      time += 400;
+      tracker.check('dev-1', { D0310C: 2, D03102: 0 });
+      time += 800;
+      tracker.check('dev-1', { D0310C: 2, D03102: 1 });
+
+      await expect(promise).resolves.toEqual({ applied: true, latency: 1200, unmatched: {} });
+    });
+
+    it('measures latency from when the command was sent', async () => {
+      const { promise } = tracker.wait(
+        'dev-1',
+        { D0310C: 2 },
+        { timeout: 15000, startedAt: time - 300 }
+      );
+
+      time += 500;
+      tracker.check('dev-1', { D0310C: 2 });
+
+      await expect(promise).resolves.toMatchObject({ applied: true, latency: 800 });
+    });
+
+    it('ignores reports for other devices', async () => {
+      const onResult = jest.fn();
+      tracker.wait('dev-1', { D0310C: 2 }, { timeout: 15000 }).promise.then(onResult);
+
+      tracker.check('dev-2', { D0310C: 2 });
+      await Promise.resolve();
+
+      expect(onResult).not.toHaveBeenCalled();
+    });
+
+    it('resolves as not applied with the unmatched values after the timeout', async () => {
+      const { promise } = tracker.wait(
+        'dev-1',
+        { D0310C: 18, D03102: 1 },
+        { timeout: 15000, reported: { D0310C: 0 } }
+      );
+
+      tracker.check('dev-1', { D0310C: 0, D03102: 1 });
+      jest.advanceTimersByTime(15000);
+
+      await expect(promise).resolves.toEqual({
+        applied: false,
+        latency: null,
+        unmatched: { D0310C: 18 },
+      });
+    });
+
+    it('stops waiting when cancelled', async () => {
+      const onResult = jest.fn();
+      const { promise, cancel } = tracker.wait('dev-1', { D0310C: 2 }, { timeout: 15000 });
+      promise.then(onResult);
+
+      cancel();
+      tracker.check('dev-1', { D0310C: 2 });
+      jest.advanceTimersByTime(15000);
+      await Promise.resolve();
+
+      expect(onResult).not.toHaveBeenCalled();
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('resolves waiting commands as not applied on clear', async () => {
+      const { promise } = tracker.wait('dev-1', { D0310C: 2 }, { timeout: 15000 });
+
+      tracker.clear();
+
+      await expect(promise).resolves.toEqual({
+        applied: false,
+        latency: null,
+        unmatched: { D0310C: 2 },
+      });
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+});
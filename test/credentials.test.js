@@ -0,0 +1,174 @@
+/**
+ * Tests for MQTT credential provider module.
+ */
+
+const { createCredentialProvider } = require('../lib/credentials');
+const { createApiClient } = require('../lib/api');
+
+function mqttInfo(deviceId, signature = 'sig') {
+  return {
+    host: `wss://mqtt.example.com/mqtt?device=${deviceId}&X-Amz-Signature=${signature}`,
+    client_id: `client-${deviceId}`,
+    device_id: deviceId,
+  };
+}
+
+describe('credentials', () => {
+  describe('createCredentialProvider', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('fetches fresh MQTT info on every call', async () => {
+      let call = 0;
+      const fetchMqttInfo = jest.fn(async ids => ids.map(id => mqttInfo(id, `sig-${++call}`)));
+      const provider = createCredentialProvider({ fetchMqttInfo, refreshAuth: jest.fn() });
+
+      const first = provider.getMqttInfo('dev-1');
+      await jest.advanceTimersByTimeAsync(50);
+      const second = provider.getMqttInfo('dev-1');
+      await jest.advanceTimersByTimeAsync(50);
+
+      expect((await first).host).toContain('sig-1');
+      expect((await second).host).toContain('sig-2');
+      expect(fetchMqttInfo).toHaveBeenCalledTimes(2);
+    });
+
+    it('batches requests from several devices into one call', async () => {
+      const fetchMqttInfo = jest.fn(async ids => ids.map(id => mqttInfo(id)));
+      const provider = createCredentialProvider({ fetchMqttInfo, refreshAuth: jest.fn() });
+
+      const requests = [
+        provider.getMqttInfo('dev-1'),
+        provider.getMqttInfo('dev-2'),
+        provider.getMqttInfo('dev-1'),
+      ];
+      await jest.advanceTimersByTimeAsync(50);
+      const infos = await Promise.all(requests);
+
+      expect(fetchMqttInfo).toHaveBeenCalledTimes(1);
+      expect(fetchMqttInfo).toHaveBeenCalledWith(['dev-1', 'dev-2']);
+      expect(infos.map(info => info.device_id)).toEqual(['dev-1', 'dev-2', 'dev-1']);
+    });
+
+    it('uses results of getMqttInfos for the first connect', async () => {
+      const fetchMqttInfo = jest.fn(async ids => ids.map(id => mqttInfo(id)));
+      const provider = createCredentialProvider({ fetchMqttInfo, refreshAuth: jest.fn() });
+
+      const infos = await provider.getMqttInfos(['dev-1', 'dev-2']);
+      const first = await provider.getMqttInfo('dev-1');
+
+      expect(infos).toHaveLength(2);
+      expect(first).toBe(infos[0]);
+      expect(fetchMqttInfo).toHaveBeenCalledTimes(1);
+
+      // Later connects fetch again
+      const again = provider.getMqttInfo('dev-1');
+      await jest.advanceTimersByTimeAsync(50);
+      await again;
+      expect(fetchMqttInfo).toHaveBeenCalledTimes(2);
+    });
+
+    it('refreshes tokens and retries once when the API rejects the token', async () => {
+      const rejected = Object.assign(new Error('API error: 401 - expired'), { status: 401 });
+      const fetchMqttInfo = jest
+        .fn()
+        .mockRejectedValueOnce(rejected)
+        .mockImplementation(async ids => ids.map(id => mqttInfo(id)));
+      const refreshAuth = jest.fn().mockResolvedValue();
+      const provider = createCredentialProvider({ fetchMqttInfo, refreshAuth });
+
+      const request = provider.getMqttInfo('dev-1');
+      await jest.advanceTimersByTimeAsync(50);
+
+      expect((await request).device_id).toBe('dev-1');
+      expect(refreshAuth).toHaveBeenCalledTimes(1);
+      expect(fetchMqttInfo).toHaveBeenCalledTimes(2);
+    });
+
+    it('refreshes tokens when the API reports the rejection with HTTP 200', async () => {
+      // The meta code is illustrative, the MxChip codes are undocumented
+      const responses = [
+        { data: { timestamp1: 1000000 }, meta: { code: 0 } },
+        { data: { token: 'expired-jwt' }, meta: { code: 0 } },
+        { data: null, meta: { code: 4001, message: 'token expired' } },
+        { data: { timestamp1: 1000000 }, meta: { code: 0 } },
+        { data: { token: 'fresh-jwt' }, meta: { code: 0 } },
+        { data: { mqttinfos: [mqttInfo('dev-1')] }, meta: { code: 0 } },
+      ];
+      const fetchFn = jest.fn(async () => ({ ok: true, json: async () => responses.shift() }));
+      const api = createApiClient({ fetchFn });
+      const refreshAuth = jest.fn(async () => api.clearToken());
+      const provider = createCredentialProvider({
+        fetchMqttInfo: ids => api.getMqttInfo('PHILIPS:user-123', ids),
+        refreshAuth,
+      });
+
+      const request = provider.getMqttInfo('dev-1');
+      await jest.advanceTimersByTimeAsync(50);
+
+      expect((await request).device_id).toBe('dev-1');
+      expect(refreshAuth).toHaveBeenCalledTimes(1);
+      expect(fetchFn.mock.calls[5][1].headers.Authorization).toBe('jwt fresh-jwt');
+    });
+
+    it('does not refresh tokens for other API errors', async () => {
+      const failed = Object.assign(new Error('API error: device not bound'), {
+        apiCode: 1,
+        apiMessage: 'device not bound',
+      });
+      const fetchMqttInfo = jest.fn().mockRejectedValue(failed);
+      const refreshAuth = jest.fn();
+      const provider = createCredentialProvider({ fetchMqttInfo, refreshAuth });
+
+      const request = provider.getMqttInfo('dev-1');
+      const assertion = expect(request).rejects.toThrow('device not bound');
+      await jest.advanceTimersByTimeAsync(50);
+      await assertion;
+
+      expect(refreshAuth).not.toHaveBeenCalled();
+    });
+
+    it('does not refresh tokens for other errors', async () => {
+      const fetchMqttInfo = jest.fn().mockRejectedValue(new Error('fetch failed'));
+      const refreshAuth = jest.fn();
+      const provider = createCredentialProvider({ fetchMqttInfo, refreshAuth });
+
+      const request = provider.getMqttInfo('dev-1');
+      const assertion = expect(request).rejects.toThrow('fetch failed');
+      await jest.advanceTimersByTimeAsync(50);
+      await assertion;
+
+      expect(refreshAuth).not.toHaveBeenCalled();
+    });
+
+    it('rejects devices missing from the response', async () => {
+      const fetchMqttInfo = jest.fn(async () => [mqttInfo('dev-1')]);
+      const provider = createCredentialProvider({ fetchMqttInfo, refreshAuth: jest.fn() });
+
+      const found = provider.getMqttInfo('dev-1');
+      const missing = provider.getMqttInfo('dev-2');
+      const assertion = expect(missing).rejects.toMatchObject({ code: 'NO_MQTT_INFO' });
+      await jest.advanceTimersByTimeAsync(50);
+
+      await assertion;
+      expect((await found).device_id).toBe('dev-1');
+    });
+
+    it('rejects pending requests on clear', async () => {
+      const fetchMqttInfo = jest.fn();
+      const provider = createCredentialProvider({ fetchMqttInfo, refreshAuth: jest.fn() });
+
+      const request = provider.getMqttInfo('dev-1');
+      provider.clear();
+
+      await expect(request).rejects.toThrow('Credential provider closed');
+      await jest.advanceTimersByTimeAsync(50);
+      expect(fetchMqttInfo).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for device list store module.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDeviceCacheStore } = require('../lib/device-cache');
+
+describe('device-cache', () => {
+  let dir;
+  let file;
+
+  const devices = [
+    { id: 'dev-1', name: 'Living Room', model: 'AC0650/10' },
+    { id: 'dev-2', name: 'Bedroom', model: 'AC3737/10' },
+  ];
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'airplus-devices-'));
+    file = path.join(dir, 'nested', 'devices.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns null without a cached list', () => {
+    expect(createDeviceCacheStore({ file }).load('user-1')).toBeNull();
+  });
+
+  it('persists the device list across instances', () => {
+    createDeviceCacheStore({ file }).save('user-1', devices);
+
+    const cached = createDeviceCacheStore({ file }).load('user-1');
+    expect(cached.devices).toEqual(devices);
+    expect(typeof cached.savedAt).toBe('string');
+  });
+
+  it('keeps lists per user', () => {
+    const store = createDeviceCacheStore({ file });
+
+    store.save('user-1', devices);
+    store.save('user-2', [devices[0]]);
+
+    expect(store.load('user-1').devices).toHaveLength(2);
+    expect(store.load('user-2').devices).toEqual([devices[0]]);
+  });
+
+  it('treats an unreadable file as empty', () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '{not json');
+    const log = jest.fn();
+
+    expect(createDeviceCacheStore({ file, log }).load('user-1')).toBeNull();
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('Failed to read device list'));
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests for device list changes module.
+ */
+
+const { diffDevices } = require('../lib/device-list');
+
+describe('device-list', () => {
+  describe('diffDevices', () => {
+    const livingRoom = { id: 'dev-1', name: 'Living Room', model: 'AC0650/10' };
+    const bedroom = { id: 'dev-2', name: 'Bedroom', model: 'AC3737/10' };
+
+    it('reports no changes for the same list', () => {
+      expect(diffDevices([livingRoom, bedroom], [bedroom, livingRoom])).toEqual({
+        added: [],
+        removed: [],
+        renamed: [],
+      });
+    });
+
+    it('finds added and removed devices', () => {
+      const office = { id: 'dev-3', name: 'Office', model: 'AC0950/10' };
+
+      const changes = diffDevices([livingRoom, bedroom], [livingRoom, office]);
+
+      expect(changes.added).toEqual([office]);
+      expect(changes.removed).toEqual([bedroom]);
+      expect(changes.renamed).toEqual([]);
+    });
+
+    it('finds renamed devices', () => {
+      const renamed = { ...bedroom, name: 'Kids Room' };
+
+      expect(diffDevices([livingRoom, bedroom], [livingRoom, renamed]).renamed).toEqual([
+        { device: renamed, previousName: 'Bedroom' },
+      ]);
+    });
+
+    it('treats a missing previous list as empty', () => {
+      expect(diffDevices(undefined, [livingRoom]).added).toEqual([livingRoom]);
+      expect(diffDevices([livingRoom], null).removed).toEqual([livingRoom]);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for field dictionary module.
+ */
+
+const { FIELDS, getFields, listFields } = require('../lib/fields');
+const { parseReportedState, buildDesiredState } = require('../lib/parser');
+
+describe('fields', () => {
+  describe('FIELDS', () => {
+    it('has unique DIDs per protocol version', () => {
+      const keys = FIELDS.map(field => `${field.protocolVersion}:${field.did}`);
+      expect(new Set(keys).size).toBe(keys.length);
+    });
+
+    it('declares on/off values for every bool field', () => {
+      FIELDS.filter(field => field.type === 'bool').forEach(field => {
+        expect(field).toHaveProperty('on');
+        expect(field).toHaveProperty('off');
+      });
+    });
+
+    it('round-trips every writable plain field through the parser', () => {
+      const samples = { bool: true, int: 50, enum: null };
+      getFields(3)
+        .filter(field => field.write && field.type in samples && !field.capability)
+        .forEach(field => {
+          const value =
+            field.type === 'enum' ? Object.keys(field.values).at(-1) : samples[field.type];
+          const desired = buildDesiredState({ [field.name]: value }, { protocolVersion: 3 });
+          expect(desired).toHaveProperty(field.did);
+          expect(parseReportedState(desired)[field.name]).toBe(value);
+        });
+    });
+  });
+
+  describe('getFields', () => {
+    it('returns fields of one protocol version in table order', () => {
+      const fields = getFields(2);
+      expect(fields.every(field => field.protocolVersion === 2)).toBe(true);
+      expect(fields[0].did).toBe('D03-02');
+    });
+
+    it('returns no fields for unknown protocol versions', () => {
+      expect(getFields(null)).toEqual([]);
+    });
+  });
+
+  describe('listFields', () => {
+    it('lists every field with all keys', () => {
+      const list = listFields();
+      expect(list).toHaveLength(FIELDS.length);
+      expect(list.find(field => field.did === 'D03224')).toEqual({
+        did: 'D03224',
+        name: 'temperature',
+        type: 'int',
+        scale: 10,
+        unit: '°C',
+        range: null,
+        values: null,
+        read: true,
+        write: false,
+        protocolVersion: 3,
+      });
+    });
+
+    it('filters by protocol version and lists enum values', () => {
+      const list = listFields({ protocolVersion: 3 });
+      expect(list.every(field => field.protocolVersion === 3)).toBe(true);
+      expect(list.find(field => field.name === 'displaySensor').values).toEqual([
+        'iai',
+        'pm25',
+        'humidity',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for field freshness module.
+ */
+
+const { parseMaxAge, findStaleFields } = require('../lib/freshness');
+
+describe('freshness', () => {
+  describe('parseMaxAge', () => {
+    it('returns null when not set', () => {
+      expect(parseMaxAge('')).toBeNull();
+      expect(parseMaxAge(undefined)).toBeNull();
+      expect(parseMaxAge('  ')).toBeNull();
+    });
+
+    it('parses a single age for every field', () => {
+      expect(parseMaxAge('900')).toEqual({ all: 900000, fields: {} });
+      expect(parseMaxAge(60)).toEqual({ all: 60000, fields: {} });
+    });
+
+    it('parses per-field ages', () => {
+      expect(parseMaxAge('600, pm25=300, filters=86400')).toEqual({
+        all: 600000,
+        fields: { pm25: 300000, filters: 86400000 },
+      });
+    });
+
+    it('rejects invalid entries', () => {
+      expect(() => parseMaxAge('pm25=soon')).toThrow('Invalid maxAge entry "pm25=soon"');
+      expect(() => parseMaxAge('-5')).toThrow('Invalid maxAge entry');
+    });
+  });
+
+  describe('findStaleFields', () => {
+    const now = 1700001000000;
+    const status = {
+      pm25: 12,
+      humidity: 45,
+      updatedAt: { pm25: now - 700000, humidity: now - 100000 },
+      filters: {
+        hepa: { remaining: 4000, updatedAt: now - 90000000 },
+        prefilter: { remaining: 300, updatedAt: now - 1000 },
+      },
+    };
+
+    it('returns fields older than the common max age', () => {
+      expect(findStaleFields(status, parseMaxAge('600'), now)).toEqual(['pm25', 'filters.hepa']);
+    });
+
+    it('prefers per-field ages over the common one', () => {
+      const maxAge = parseMaxAge('600, pm25=900, filters=86400');
+
+      expect(findStaleFields(status, maxAge, now)).toEqual(['filters.hepa']);
+    });
+
+    it('only checks listed fields without a common age', () => {
+      expect(findStaleFields(status, parseMaxAge('humidity=60'), now)).toEqual(['humidity']);
+    });
+
+    it('matches a single filter by name', () => {
+      expect(findStaleFields(status, parseMaxAge('filters.prefilter=0'), now)).toEqual([
+        'filters.prefilter',
+      ]);
+    });
+
+    it('returns nothing without a max age or timestamps', () => {
+      expect(findStaleFields(status, null, now)).toEqual([]);
+      expect(findStaleFields({ pm25: 12 }, parseMaxAge('1'), now)).toEqual([]);
+    });
+  });
+});
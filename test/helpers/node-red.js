@@ -0,0 +1,133 @@
+/**
+ * Minimal Node-RED runtime for node tests.
+ * Runs the nodes with the cloud API and MQTT client replaced by the test's mocks.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point os.homedir() at a temporary directory for the current describe block.
+ * The account node builds its ~/.philips-airplus paths when it is required, so call this before
+ * the nodes are loaded; it keeps tests away from the developer's real files.
+ * @param {string} prefix - Temporary directory prefix
+ */
+function useTempHome(prefix) {
+  let home;
+  let homedir;
+
+  beforeAll(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    homedir = jest.spyOn(os, 'homedir').mockReturnValue(home);
+  });
+
+  afterAll(() => {
+    homedir.mockRestore();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+}
+
+/**
+ * Create a runtime: nodes are event emitters registered by id.
+ * @returns {object} Runtime with RED, deploy(type, config) and close()
+ */
+function createRuntime() {
+  const types = {};
+  const nodes = new Map();
+  const RED = {
+    nodes: {
+      createNode(node, config) {
+        EventEmitter.call(node);
+        for (const key of Object.getOwnPropertyNames(EventEmitter.prototype)) {
+          if (key !== 'constructor') node[key] = EventEmitter.prototype[key];
+        }
+        node.id = config.id;
+        node.credentials = config.credentials || {};
+        node.log = jest.fn();
+        node.warn = jest.fn();
+        node.error = jest.fn();
+        node.status = jest.fn();
+        node.send = jest.fn();
+        nodes.set(config.id, node);
+      },
+      getNode: id => nodes.get(id),
+      registerType: (type, constructor) => {
+        types[type] = constructor;
+      },
+      addCredentials: jest.fn(),
+    },
+    httpAdmin: { get: jest.fn(), post: jest.fn() },
+    log: { info: jest.fn(), warn: jest.fn() },
+  };
+
+  function deploy(type, config) {
+    return new types[type](config);
+  }
+
+  function close() {
+    for (const node of nodes.values()) {
+      for (const listener of node.listeners('close')) {
+        listener.call(node, () => {});
+      }
+    }
+  }
+
+  return { RED, deploy, close };
+}
+
+/**
+ * Fake for lib/mqtt createMqttClient: connects at once, requests resolve without a response.
+ * @param {object} options - createMqttClient options (onConnect is called on connect)
+ * @returns {object} Client with jest mocks
+ */
+function createFakeMqttClient(options) {
+  let connected = false;
+  const subscribed = new Set();
+  return {
+    options,
+    connect: jest.fn(async () => {
+      connected = true;
+      options.onConnect();
+    }),
+    isConnected: () => connected,
+    subscribeDevice: jest.fn(deviceId => subscribed.add(deviceId)),
+    unsubscribeDevice: jest.fn(deviceId => subscribed.delete(deviceId)),
+    getSubscribedDevices: () => [...subscribed],
+    getDeviceState: jest.fn().mockResolvedValue(null),
+    updateDeviceState: jest.fn().mockResolvedValue({}),
+    disconnect: jest.fn(() => {
+      connected = false;
+    }),
+  };
+}
+
+/**
+ * Account credentials with a token that does not need a refresh.
+ * @returns {object} Node credentials
+ */
+function accountCredentials() {
+  return {
+    userId: 'user-1',
+    refreshToken: 'refresh-token',
+    expiresAt: String(Math.floor(Date.now() / 1000) + 3600),
+  };
+}
+
+/**
+ * Let pending startup work (token, device list, MQTT info, connect) run.
+ */
+async function settle() {
+  for (let i = 0; i < 20; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+module.exports = {
+  useTempHome,
+  createRuntime,
+  createFakeMqttClient,
+  accountCredentials,
+  settle,
+};
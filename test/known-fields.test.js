@@ -0,0 +1,56 @@
+/**
+ * Tests for known-fields store module.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createKnownFieldsStore } = require('../lib/known-fields');
+
+describe('known-fields', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'airplus-known-'));
+    file = path.join(dir, 'nested', 'known-fields.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('markSeen', () => {
+    it('returns keys not seen before', () => {
+      const store = createKnownFieldsStore({ file });
+
+      expect(store.markSeen('dev-1', ['D03130', 'D03131'])).toEqual(['D03130', 'D03131']);
+      expect(store.markSeen('dev-1', ['D03130', 'D03132'])).toEqual(['D03132']);
+    });
+
+    it('tracks devices separately', () => {
+      const store = createKnownFieldsStore({ file });
+
+      store.markSeen('dev-1', ['D03130']);
+      expect(store.markSeen('dev-2', ['D03130'])).toEqual(['D03130']);
+    });
+
+    it('persists seen keys across instances', () => {
+      createKnownFieldsStore({ file }).markSeen('dev-1', ['D03130']);
+
+      const store = createKnownFieldsStore({ file });
+      expect(store.markSeen('dev-1', ['D03130'])).toEqual([]);
+      expect(JSON.parse(fs.readFileSync(file, 'utf-8'))).toEqual({ 'dev-1': ['D03130'] });
+    });
+
+    it('starts empty when the file is corrupt', () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, 'not json');
+      const log = jest.fn();
+
+      const store = createKnownFieldsStore({ file, log });
+      expect(store.markSeen('dev-1', ['D03130'])).toEqual(['D03130']);
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('Failed to read known fields'));
+    });
+  });
+});
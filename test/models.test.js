@@ -0,0 +1,88 @@
+/**
+ * Tests for model capability registry.
+ */
+
+const { findModel, getCapabilities } = require('../lib/models');
+
+describe('models', () => {
+  describe('findModel', () => {
+    it('finds model by model number with region suffix', () => {
+      expect(findModel({ model: 'AC3737/10' }).codename).toBe('Carnation');
+    });
+
+    it('finds model by codename case-insensitively', () => {
+      expect(findModel({ codename: 'apollo' }).codename).toBe('Apollo');
+      expect(findModel({ codename: 'Mars4000' }).protocolVersion).toBe(2);
+    });
+
+    it('prefers model number over codename', () => {
+      expect(findModel({ model: 'AC3737', codename: 'Apollo' }).codename).toBe('Carnation');
+    });
+
+    it('returns null for unknown devices', () => {
+      expect(findModel({ model: 'XX9999', codename: 'Unknown' })).toBeNull();
+      expect(findModel()).toBeNull();
+    });
+  });
+
+  describe('getCapabilities', () => {
+    it('returns AC3737 capabilities', () => {
+      const caps = getCapabilities({ model: 'AC3737/10' });
+
+      expect(caps.known).toBe(true);
+      expect(caps.protocolVersion).toBe(3);
+      expect(caps.modes).toEqual(['auto', 'sleep', 'turbo', 'manual']);
+      expect(caps.modeCodes).toEqual({ auto: 0, sleep: 17, turbo: 18 });
+      expect(caps.fanSpeed).toEqual({ min: 1, max: 2 });
+      expect(caps.humidityPresets).toEqual([40, 50, 60, 70]);
+      expect(caps.functions).toEqual(['purify', 'purify_humidify']);
+      expect(caps.sensors).toContain('humidity');
+    });
+
+    it('omits manual mode for models without fan speeds', () => {
+      const caps = getCapabilities({ codename: 'Apollo' });
+
+      expect(caps.fanSpeed).toBeNull();
+      expect(caps.modes).not.toContain('manual');
+    });
+
+    it('replaces the protocol mode table for heaters', () => {
+      const caps = getCapabilities({ model: 'CX5120' });
+
+      expect(caps.modes).toEqual(['auto', 'heat_high', 'heat_low', 'fan']);
+      expect(caps.heatingModes).toEqual(['heat_high', 'heat_low']);
+      expect(caps.targetTemperature).toEqual({ min: 1, max: 37 });
+      expect(caps.functions).toEqual([]);
+      expect(getCapabilities({ model: 'AC3737' }).targetTemperature).toBeNull();
+    });
+
+    it('uses registry protocol version over detected one', () => {
+      expect(getCapabilities({ codename: 'MarsLE', protocolVersion: 3 }).protocolVersion).toBe(2);
+    });
+
+    it('falls back to protocol defaults for unknown models', () => {
+      const caps = getCapabilities({ model: 'XX9999', protocolVersion: 1 });
+
+      expect(caps.known).toBe(false);
+      expect(caps.codename).toBeNull();
+      expect(caps.modeCodes).toEqual({ auto: 'A', sleep: 'S', turbo: 'T', manual: 'M' });
+      expect(caps.fanSpeed).toEqual({ min: 1, max: 18 });
+    });
+
+    it('defaults to v3 when nothing is known', () => {
+      const caps = getCapabilities();
+
+      expect(caps.protocolVersion).toBe(3);
+      expect(caps.fanSpeed).toEqual({ min: 1, max: 16 });
+    });
+
+    it('returns copies that callers can modify', () => {
+      getCapabilities({ model: 'AC3737' }).humidityPresets.push(99);
+      getCapabilities({ model: 'AC3737' }).fanSpeed.max = 99;
+
+      const caps = getCapabilities({ model: 'AC3737' });
+      expect(caps.humidityPresets).toEqual([40, 50, 60, 70]);
+      expect(caps.fanSpeed.max).toBe(2);
+    });
+  });
+});
@@ -2,7 +2,7 @@
  * Tests for AWS IoT MQTT module.
  */
 
-const { createMqttClient, formatTopic } = require('../lib/mqtt');
+const { createMqttClient, formatTopic, parsePresignedExpiry } = require('../lib/mqtt');
 const EventEmitter = require('events');
 
 // Mock MQTT client
@@ -53,11 +53,21 @@ class MockMqttClient extends EventEmitter {
   }
 }
 
-function createMockMqttLib() {
+// Mock MQTT client that acknowledges subscriptions (SUBACK)
+class AckingMqttClient extends MockMqttClient {
+  subscribe(topic, opts, callback) {
+    super.subscribe(topic, opts);
+    if (callback) {
+      callback(null, [{ topic, qos: 1 }]);
+    }
+  }
+}
+
+function createMockMqttLib(ClientClass = MockMqttClient) {
   let lastClient = null;
   return {
     connect: jest.fn((url, opts) => {
-      lastClient = new MockMqttClient();
+      lastClient = new ClientClass();
       lastClient.url = url;
       lastClient.opts = opts;
       return lastClient;
@@ -74,6 +84,109 @@ describe('mqtt', () => {
     });
   });
 
+  describe('parsePresignedExpiry', () => {
+    it('adds X-Amz-Expires to X-Amz-Date', () => {
+      const url =
+        'wss://iot.example.com/mqtt?X-Amz-Algorithm=AWS4-HMAC-SHA256' +
+        '&X-Amz-Date=20250101T120000Z&X-Amz-Expires=3600&X-Amz-Signature=abc';
+
+      expect(parsePresignedExpiry(url)).toBe(Date.UTC(2025, 0, 1, 13, 0, 0));
+    });
+
+    it('returns null without expiry parameters', () => {
+      expect(parsePresignedExpiry('wss://iot.example.com/mqtt?auth=sig')).toBeNull();
+      expect(parsePresignedExpiry('wss://iot.example.com/mqtt?X-Amz-Date=yesterday')).toBeNull();
+      expect(parsePresignedExpiry('not a url')).toBeNull();
+      expect(parsePresignedExpiry(undefined)).toBeNull();
+    });
+  });
+
+  describe('credential refresh', () => {
+    const start = Date.UTC(2025, 0, 1, 12, 0, 0);
+    let mockMqttLib;
+    let client;
+
+    function presignedUrl(date, expires) {
+      const amzDate = new Date(date)
+        .toISOString()
+        .replace(/[-:]/g, '')
+        .replace(/\.\d{3}/, '');
+      return `wss://iot.example.com/mqtt?X-Amz-Date=${amzDate}&X-Amz-Expires=${expires}`;
+    }
+
+    async function connectClient(getMqttInfo) {
+      client = createMqttClient({ getMqttInfo, mqttLib: mockMqttLib, log: () => {} });
+      const connectPromise = client.connect();
+      await jest.advanceTimersByTimeAsync(0);
+      mockMqttLib.getLastClient().simulateConnect();
+      await connectPromise;
+    }
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: start });
+      mockMqttLib = createMockMqttLib();
+      // Reconnects connect automatically
+      const connect = mockMqttLib.connect.getMockImplementation();
+      mockMqttLib.connect.mockImplementation((url, opts) => {
+        const mqttClient = connect(url, opts);
+        setTimeout(() => mqttClient.simulateConnect(), 0);
+        return mqttClient;
+      });
+    });
+
+    afterEach(() => {
+      client.disconnect();
+      jest.useRealTimers();
+    });
+
+    it('refreshes before the X-Amz expiry', async () => {
+      const getMqttInfo = jest.fn(async () => ({
+        host: presignedUrl(Date.now(), 1800),
+        client_id: 'c',
+        device_id: 'dev-123',
+      }));
+      await connectClient(getMqttInfo);
+
+      // 30 min lifetime: refresh 10 min before expiry
+      await jest.advanceTimersByTimeAsync(19 * 60 * 1000);
+      expect(getMqttInfo).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+      expect(getMqttInfo).toHaveBeenCalledTimes(2);
+      expect(mockMqttLib.connect).toHaveBeenCalledTimes(2);
+    });
+
+    it('reconnects immediately when the clock jumped past the expiry', async () => {
+      const getMqttInfo = jest.fn(async () => ({
+        host: presignedUrl(Date.now(), 3600),
+        client_id: 'c',
+        device_id: 'dev-123',
+      }));
+      await connectClient(getMqttInfo);
+
+      // Host slept for 8 hours: timers did not run, the wall clock moved on
+      jest.setSystemTime(start + 8 * 60 * 60 * 1000);
+      await jest.advanceTimersByTimeAsync(30 * 1000);
+
+      expect(getMqttInfo).toHaveBeenCalledTimes(2);
+    });
+
+    it('falls back to the default lifetime without X-Amz parameters', async () => {
+      const getMqttInfo = jest.fn(async () => ({
+        host: 'wss://iot.example.com/mqtt?auth=sig',
+        client_id: 'c',
+        device_id: 'dev-123',
+      }));
+      await connectClient(getMqttInfo);
+
+      await jest.advanceTimersByTimeAsync(49 * 60 * 1000);
+      expect(getMqttInfo).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+      expect(getMqttInfo).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe('createMqttClient', () => {
     let mockMqttLib;
     let client;
@@ -196,13 +309,15 @@ describe('mqtt', () => {
       // Start getDeviceState (won't resolve until we simulate response)
       const statePromise = client.getDeviceState('dev-123');
 
-      // Check that empty message was published to shadow/get
+      // Check that a request was published to shadow/get
       const published = mockMqttLib.getLastClient().published;
-      expect(published.some(p => p.topic === '$aws/things/dev-123/shadow/get')).toBe(true);
+      const getMsg = published.find(p => p.topic === '$aws/things/dev-123/shadow/get');
+      expect(getMsg).toBeDefined();
 
       // Simulate accepted response
       mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/get/accepted', {
         state: { reported: { powerOn: true } },
+        clientToken: JSON.parse(getMsg.payload).clientToken,
       });
 
       const state = await statePromise;
@@ -239,6 +354,7 @@ describe('mqtt', () => {
       // Simulate accepted response
       mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/update/accepted', {
         state: { desired: { powerOn: false } },
+        clientToken: payload.clientToken,
       });
 
       await updatePromise;
@@ -266,9 +382,267 @@ describe('mqtt', () => {
       // Simulate delta message (state change pushed from device)
       mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/update/delta', {
         state: { powerOn: true },
+        version: 12,
+      });
+
+      expect(onStateChange).toHaveBeenCalledWith('dev-123', { powerOn: true }, 'delta', {
+        state: { powerOn: true },
+        version: 12,
+      });
+    });
+
+    it('calls onStateChange for shadow update/accepted messages', async () => {
+      const onStateChange = jest.fn();
+      client = createMqttClient({
+        getMqttInfo: () =>
+          Promise.resolve({
+            host: 'wss://mqtt.example.com',
+            client_id: 'c',
+            device_id: 'dev-123',
+          }),
+        onStateChange,
+        mqttLib: mockMqttLib,
+      });
+
+      const connectPromise = client.connect();
+      setTimeout(() => mockMqttLib.getLastClient().simulateConnect(), 10);
+      await connectPromise;
+
+      client.subscribeDevice('dev-123');
+
+      const document = { state: { reported: { D03221: 7 } }, version: 13 };
+      mockMqttLib
+        .getLastClient()
+        .simulateMessage('$aws/things/dev-123/shadow/update/accepted', document);
+
+      expect(onStateChange).toHaveBeenCalledWith(
+        'dev-123',
+        { reported: { D03221: 7 } },
+        'update',
+        document
+      );
+    });
+
+    it('requests the full shadow as resync once topics are subscribed', async () => {
+      const onStateChange = jest.fn();
+      mockMqttLib = createMockMqttLib(AckingMqttClient);
+      client = createMqttClient({
+        getMqttInfo: () =>
+          Promise.resolve({
+            host: 'wss://mqtt.example.com',
+            client_id: 'c',
+            device_id: 'dev-123',
+          }),
+        onStateChange,
+        mqttLib: mockMqttLib,
+      });
+
+      const connectPromise = client.connect();
+      setTimeout(() => mockMqttLib.getLastClient().simulateConnect(), 10);
+      await connectPromise;
+
+      client.subscribeDevice('dev-123');
+
+      const published = mockMqttLib.getLastClient().published;
+      const gets = published.filter(p => p.topic === '$aws/things/dev-123/shadow/get');
+      expect(gets).toHaveLength(1);
+
+      const { clientToken } = JSON.parse(gets[0].payload);
+      const document = { state: { reported: { D03102: 1 } }, version: 4, clientToken };
+      mockMqttLib
+        .getLastClient()
+        .simulateMessage('$aws/things/dev-123/shadow/get/accepted', document);
+
+      expect(onStateChange).toHaveBeenCalledWith('dev-123', { D03102: 1 }, 'resync', document);
+    });
+
+    it('resyncs only once per connection', async () => {
+      const onStateChange = jest.fn();
+      mockMqttLib = createMockMqttLib(AckingMqttClient);
+      client = createMqttClient({
+        getMqttInfo: () =>
+          Promise.resolve({
+            host: 'wss://mqtt.example.com',
+            client_id: 'c',
+            device_id: 'dev-123',
+          }),
+        onStateChange,
+        mqttLib: mockMqttLib,
+      });
+
+      const connectPromise = client.connect();
+      setTimeout(() => mockMqttLib.getLastClient().simulateConnect(), 10);
+      await connectPromise;
+
+      const published = mockMqttLib.getLastClient().published;
+      const lastGetToken = () =>
+        JSON.parse(published.filter(p => p.topic.endsWith('/shadow/get')).pop().payload)
+          .clientToken;
+
+      client.subscribeDevice('dev-123');
+      mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/get/accepted', {
+        state: { reported: {} },
+        clientToken: lastGetToken(),
+      });
+      client.subscribeDevice('dev-123');
+
+      expect(published.filter(p => p.topic.endsWith('/shadow/get'))).toHaveLength(1);
+
+      // Explicit requests are plain reports
+      client.getDeviceState('dev-123');
+      const clientToken = lastGetToken();
+      mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/get/accepted', {
+        state: { reported: {} },
+        clientToken,
+      });
+      expect(onStateChange).toHaveBeenLastCalledWith('dev-123', {}, 'reported', {
+        state: { reported: {} },
+        clientToken,
+      });
+    });
+
+    it('resolves concurrent updates by clientToken', async () => {
+      client = createMqttClient({
+        getMqttInfo: () =>
+          Promise.resolve({
+            host: 'wss://mqtt.example.com',
+            client_id: 'c',
+            device_id: 'dev-123',
+          }),
+        mqttLib: mockMqttLib,
+      });
+
+      const connectPromise = client.connect();
+      setTimeout(() => mockMqttLib.getLastClient().simulateConnect(), 10);
+      await connectPromise;
+
+      const first = client.updateDeviceState('dev-123', { D03102: 1 });
+      const second = client.updateDeviceState('dev-123', { D0310C: 18 });
+
+      const updates = mockMqttLib
+        .getLastClient()
+        .published.filter(p => p.topic === '$aws/things/dev-123/shadow/update')
+        .map(p => JSON.parse(p.payload));
+      expect(updates).toHaveLength(2);
+      expect(updates[0].clientToken).not.toBe(updates[1].clientToken);
+
+      // Answered out of order
+      mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/update/accepted', {
+        state: { desired: { D0310C: 18 } },
+        version: 8,
+        clientToken: updates[1].clientToken,
+      });
+      mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/update/accepted', {
+        state: { desired: { D03102: 1 } },
+        version: 7,
+        clientToken: updates[0].clientToken,
+      });
+
+      expect((await first).version).toBe(7);
+      expect((await second).version).toBe(8);
+    });
+
+    it('rejects only the update AWS refused, with its code and message', async () => {
+      client = createMqttClient({
+        getMqttInfo: () =>
+          Promise.resolve({
+            host: 'wss://mqtt.example.com',
+            client_id: 'c',
+            device_id: 'dev-123',
+          }),
+        mqttLib: mockMqttLib,
+      });
+
+      const connectPromise = client.connect();
+      setTimeout(() => mockMqttLib.getLastClient().simulateConnect(), 10);
+      await connectPromise;
+
+      const first = client.updateDeviceState('dev-123', { D03102: 1 });
+      const second = client.updateDeviceState('dev-123', { D03102: 0 });
+      const [firstToken, secondToken] = mockMqttLib
+        .getLastClient()
+        .published.map(p => JSON.parse(p.payload).clientToken);
+
+      mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/update/rejected', {
+        code: 409,
+        message: 'Version conflict',
+        clientToken: firstToken,
+      });
+      mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/update/accepted', {
+        state: { desired: { D03102: 0 } },
+        clientToken: secondToken,
+      });
+
+      await expect(first).rejects.toMatchObject({
+        message: 'Version conflict',
+        code: 'SHADOW_REJECTED',
+        awsCode: 409,
+      });
+      await expect(second).resolves.toMatchObject({ state: { desired: { D03102: 0 } } });
+    });
+
+    it('ignores responses to other clients', async () => {
+      client = createMqttClient({
+        getMqttInfo: () =>
+          Promise.resolve({
+            host: 'wss://mqtt.example.com',
+            client_id: 'c',
+            device_id: 'dev-123',
+          }),
+        mqttLib: mockMqttLib,
+      });
+
+      const connectPromise = client.connect();
+      setTimeout(() => mockMqttLib.getLastClient().simulateConnect(), 10);
+      await connectPromise;
+
+      const update = client.updateDeviceState('dev-123', { D03102: 1 });
+      const { clientToken } = JSON.parse(mockMqttLib.getLastClient().published[0].payload);
+
+      mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/update/rejected', {
+        code: 400,
+        message: 'Invalid JSON',
+        clientToken: 'phone-app-token',
+      });
+      mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/update/accepted', {
+        state: { desired: { D03102: 1 } },
+        clientToken,
+      });
+
+      await expect(update).resolves.toMatchObject({ clientToken });
+    });
+
+    it('leaves requests open for responses without a clientToken', async () => {
+      const onStateChange = jest.fn();
+      client = createMqttClient({
+        getMqttInfo: () =>
+          Promise.resolve({
+            host: 'wss://mqtt.example.com',
+            client_id: 'c',
+            device_id: 'dev-123',
+          }),
+        onStateChange,
+        mqttLib: mockMqttLib,
+      });
+
+      const connectPromise = client.connect();
+      setTimeout(() => mockMqttLib.getLastClient().simulateConnect(), 10);
+      await connectPromise;
+
+      const update = client.updateDeviceState('dev-123', { D03102: 1 }, 50);
+
+      // The device's own report, and a stray rejection
+      const report = { state: { reported: { D03102: 0 } }, version: 9 };
+      mockMqttLib
+        .getLastClient()
+        .simulateMessage('$aws/things/dev-123/shadow/update/accepted', report);
+      mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/update/rejected', {
+        code: 400,
+        message: 'Invalid JSON',
       });
 
-      expect(onStateChange).toHaveBeenCalledWith('dev-123', { powerOn: true }, 'delta');
+      expect(onStateChange).toHaveBeenCalledWith('dev-123', report.state, 'update', report);
+      await expect(update).rejects.toThrow('Request timeout');
     });
 
     it('rejects request on shadow/get/rejected', async () => {
@@ -289,10 +663,12 @@ describe('mqtt', () => {
       client.subscribeDevice('dev-123');
 
       const statePromise = client.getDeviceState('dev-123');
+      const { clientToken } = JSON.parse(mockMqttLib.getLastClient().published.pop().payload);
 
       // Simulate rejected response
       mockMqttLib.getLastClient().simulateMessage('$aws/things/dev-123/shadow/get/rejected', {
         message: 'Thing not found',
+        clientToken,
       });
 
       await expect(statePromise).rejects.toThrow('Thing not found');
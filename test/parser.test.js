@@ -3,11 +3,16 @@
  */
 
 const {
+  detectProtocolVersion,
   parseShadow,
   parseReportedState,
+  parseDelta,
+  resolvePending,
   buildDesiredState,
   mergeStatus,
+  diffStatus,
 } = require('../lib/parser');
+const { getCapabilities } = require('../lib/models');
 
 describe('parser', () => {
   describe('parseShadow', () => {
@@ -77,6 +82,18 @@ describe('parser', () => {
     it('parses product state', () => {
       const result = parseReportedState({ productState: 'running' });
       expect(result.productState).toBe('running');
+      expect(result.stateInfo).toEqual({ code: 'running', message: 'Running', severity: 'info' });
+    });
+
+    it('decodes product errors', () => {
+      const result = parseReportedState({ productError: 49408 });
+      expect(result.error).toBe(49408);
+      expect(result.errorInfo).toEqual({
+        code: 49408,
+        message: 'Water tank empty',
+        severity: 'warning',
+      });
+      expect(parseReportedState({ productError: null }).errorInfo).toBeNull();
     });
 
     it('parses mode', () => {
@@ -171,6 +188,29 @@ describe('parser', () => {
       expect(result.filter.replacePercent).toBe(50);
     });
 
+    it('parses a complete v1 document', () => {
+      const result = parseReportedState({
+        pwr: '1',
+        mode: 'M',
+        om: '3',
+        pm25: '9',
+        uil: '1',
+        cl: '0',
+      });
+
+      expect(result.protocolVersion).toBe(1);
+      expect(result.power).toBe(true);
+      expect(result.mode).toBe('manual');
+      expect(result.fanSpeed).toBe(3);
+      expect(result.pm25).toBe(9);
+      expect(result.displayLight).toBe(1);
+      expect(result.childLock).toBe(false);
+    });
+
+    it('ignores non-numeric v1 fan speeds', () => {
+      expect(parseReportedState({ om: 't' }).fanSpeed).toBeUndefined();
+    });
+
     it('preserves raw properties', () => {
       const props = { powerOn: true, unknown: 'value' };
       const result = parseReportedState(props);
@@ -178,62 +218,482 @@ describe('parser', () => {
     });
   });
 
-  describe('buildDesiredState', () => {
+  describe('buildDesiredState (v1)', () => {
+    const v1 = { protocolVersion: 1 };
+
     it('builds power state', () => {
-      expect(buildDesiredState({ power: true })).toEqual({ powerOn: true });
-      expect(buildDesiredState({ power: false })).toEqual({ powerOn: false });
+      expect(buildDesiredState({ power: true }, v1)).toEqual({ pwr: '1' });
+      expect(buildDesiredState({ power: false }, v1)).toEqual({ pwr: '0' });
     });
 
     it('builds mode state', () => {
-      expect(buildDesiredState({ mode: 'auto' })).toEqual({ mode: 'A' });
-      expect(buildDesiredState({ mode: 'sleep' })).toEqual({ mode: 'S' });
-      expect(buildDesiredState({ mode: 'turbo' })).toEqual({ mode: 'T' });
-      expect(buildDesiredState({ mode: 'manual' })).toEqual({ mode: 'M' });
+      expect(buildDesiredState({ mode: 'auto' }, v1)).toEqual({ mode: 'A' });
+      expect(buildDesiredState({ mode: 'sleep' }, v1)).toEqual({ mode: 'S' });
+      expect(buildDesiredState({ mode: 'turbo' }, v1)).toEqual({ mode: 'T' });
+      expect(buildDesiredState({ mode: 'manual' }, v1)).toEqual({ mode: 'M' });
     });
 
     it('passes through raw mode codes', () => {
-      expect(buildDesiredState({ mode: 'A' })).toEqual({ mode: 'A' });
+      expect(buildDesiredState({ mode: 'A' }, v1)).toEqual({ mode: 'A' });
     });
 
     it('builds fan speed state', () => {
-      expect(buildDesiredState({ fanSpeed: 12 })).toEqual({ om: '12' });
+      expect(buildDesiredState({ fanSpeed: 12 }, v1)).toEqual({ om: '12' });
     });
 
     it('builds target humidity state', () => {
-      expect(buildDesiredState({ targetHumidity: 50 })).toEqual({ rhset: '50' });
+      expect(buildDesiredState({ targetHumidity: 50 }, v1)).toEqual({ rhset: '50' });
     });
 
     it('builds child lock state', () => {
-      expect(buildDesiredState({ childLock: true })).toEqual({ cl: '1' });
-      expect(buildDesiredState({ childLock: false })).toEqual({ cl: '0' });
+      expect(buildDesiredState({ childLock: true }, v1)).toEqual({ cl: '1' });
+      expect(buildDesiredState({ childLock: false }, v1)).toEqual({ cl: '0' });
     });
 
     it('builds display light state', () => {
-      expect(buildDesiredState({ displayLight: 2 })).toEqual({ uil: '2' });
+      expect(buildDesiredState({ displayLight: 2 }, v1)).toEqual({ uil: '2' });
     });
 
     it('builds combined state', () => {
-      const result = buildDesiredState({
-        power: true,
-        mode: 'auto',
-        fanSpeed: 8,
-      });
+      const result = buildDesiredState(
+        {
+          power: true,
+          mode: 'auto',
+          fanSpeed: 8,
+        },
+        v1
+      );
 
       expect(result).toEqual({
-        powerOn: true,
+        pwr: '1',
         mode: 'A',
         om: '8',
       });
     });
 
     it('ignores undefined values', () => {
-      const result = buildDesiredState({
+      const result = buildDesiredState(
+        {
+          power: true,
+          mode: undefined,
+        },
+        v1
+      );
+
+      expect(result).toEqual({ pwr: '1' });
+      expect(result).not.toHaveProperty('mode');
+    });
+  });
+
+  describe('detectProtocolVersion', () => {
+    it('detects v3 numeric DIDs', () => {
+      expect(detectProtocolVersion({ D03102: 1, connected: true })).toBe(3);
+    });
+
+    it('detects v2 dashed DIDs', () => {
+      expect(detectProtocolVersion({ 'D03-02': 'ON' })).toBe(2);
+    });
+
+    it('detects v1 legacy keys', () => {
+      expect(detectProtocolVersion({ fltsts0: '200' })).toBe(1);
+    });
+
+    it('returns null for protocol-neutral documents', () => {
+      expect(detectProtocolVersion({ connected: true, productState: 'running' })).toBeNull();
+      expect(detectProtocolVersion(null)).toBeNull();
+    });
+  });
+
+  describe('parseReportedState (v3)', () => {
+    it('parses power, mode and sensors', () => {
+      const result = parseReportedState({
+        D03102: 1,
+        D0310C: 18,
+        D03221: 7,
+        D03125: 34,
+        D03224: 253,
+      });
+
+      expect(result.protocolVersion).toBe(3);
+      expect(result.power).toBe(true);
+      expect(result.mode).toBe('turbo');
+      expect(result.pm25).toBe(7);
+      expect(result.humidity).toBe(34);
+      expect(result.temperature).toBe(25.3);
+    });
+
+    it('parses manual fan speed from mode code', () => {
+      const result = parseReportedState({ D0310C: 2 });
+      expect(result.mode).toBe('manual');
+      expect(result.fanSpeed).toBe(2);
+    });
+  });
+
+  describe('filters', () => {
+    it('builds per-filter view for v3 devices', () => {
+      const result = parseReportedState({
+        D0520D: 0,
+        D0540E: 2928,
+        D05408: 4800,
+        D05213: 1200,
+      });
+
+      expect(result.filters).toEqual({
+        prefilter: { remaining: 0, nominal: 360, percent: 0, action: 'clean', required: true },
+        hepa: { remaining: 2928, nominal: 4800, percent: 61, action: 'replace', required: false },
+        wick: { remaining: 1200, nominal: 2400, percent: 50, action: 'replace', required: false },
+      });
+    });
+
+    it('flags filters from the D05102 bitmap', () => {
+      const result = parseReportedState({ D05102: 3, D0520D: 100, D0540E: 100, D05213: 100 });
+
+      expect(result.filters.prefilter.required).toBe(false);
+      expect(result.filters.hepa.required).toBe(false);
+      expect(result.filters.wick.required).toBe(true);
+    });
+
+    it('uses the HEPA bit to tell replacement apart from cleaning', () => {
+      const result = parseReportedState({ D05102: 1, D0520D: 300, D0540E: 50 });
+
+      expect(result.filters.prefilter.required).toBe(false);
+      expect(result.filters.hepa).toMatchObject({ action: 'replace', required: true });
+    });
+
+    it('builds per-filter view for v2 and v1 devices', () => {
+      const v2 = parseReportedState({ 'D05-13': 180, 'D05-07': 360, 'D05-14': 0 });
+      expect(v2.filters.prefilter.percent).toBe(50);
+      expect(v2.filters.hepa.required).toBe(true);
+
+      const v1 = parseReportedState({ pwr: '1', fltsts0: '36', fltt0: '360', fltsts2: '600' });
+      expect(v1.filters.prefilter.percent).toBe(10);
+      expect(v1.filters.wick.nominal).toBe(2400);
+      expect(v1.filters.hepa).toBeUndefined();
+    });
+
+    it('omits filters when none are reported', () => {
+      expect(parseReportedState({ D03102: 1, D05102: 3 }).filters).toBeUndefined();
+    });
+
+    it('merges filters per filter', () => {
+      const existing = { filters: { prefilter: { remaining: 100 } } };
+      const update = { filters: { hepa: { remaining: 2000 } } };
+
+      const result = mergeStatus(existing, update);
+      expect(result.filters.prefilter.remaining).toBe(100);
+      expect(result.filters.hepa.remaining).toBe(2000);
+    });
+  });
+
+  describe('function', () => {
+    it('parses D0310A into a function name', () => {
+      expect(parseReportedState({ D0310A: '4' }).function).toBe('purify_humidify');
+      expect(parseReportedState({ D0310A: 4 }).function).toBe('purify_humidify');
+    });
+
+    it('keeps unconfirmed function codes raw', () => {
+      expect(parseReportedState({ D0310A: '3' }).function).toBe('function_3');
+    });
+
+    it('builds function state', () => {
+      expect(buildDesiredState({ function: 'purify_humidify' })).toEqual({ D0310A: '4' });
+      expect(buildDesiredState({ function: 'purify' })).toEqual({});
+      expect(buildDesiredState({ function: 'heat' })).toEqual({});
+    });
+  });
+
+  describe('parseDelta', () => {
+    it('parses delta DIDs into normalized fields only', () => {
+      expect(parseDelta({ D0310C: 18, D03102: 1 })).toEqual({
         power: true,
-        mode: undefined,
+        mode: 'turbo',
       });
+    });
 
-      expect(result).toEqual({ powerOn: true });
-      expect(result).not.toHaveProperty('mode');
+    it('returns no fields for an empty delta', () => {
+      expect(parseDelta({})).toEqual({});
+    });
+  });
+
+  describe('resolvePending', () => {
+    it('drops values the device has reported', () => {
+      expect(resolvePending({ D0310C: 18, D03102: 1 }, { D0310C: 18, D03221: 4 })).toEqual({
+        D03102: 1,
+      });
+    });
+
+    it('keeps values reported with a different value', () => {
+      expect(resolvePending({ D0310C: 18 }, { D0310C: 0 })).toEqual({ D0310C: 18 });
+    });
+
+    it('compares values strictly by type', () => {
+      expect(resolvePending({ pwr: '1' }, { pwr: 1 })).toEqual({ pwr: '1' });
+    });
+  });
+
+  describe('unknown fields', () => {
+    it('lists keys that are not decoded', () => {
+      const result = parseReportedState({ D03102: 1, D03130: 7, D01S04: 'Carnation', rssi: -71 });
+      expect(result.unknownFields).toEqual({ D03130: 7 });
+    });
+
+    it('treats keys of another protocol as unknown', () => {
+      expect(parseReportedState({ D03102: 1, pwr: '1' }).unknownFields).toEqual({ pwr: '1' });
+    });
+
+    it('omits unknownFields when everything is decoded', () => {
+      expect(parseReportedState({ D03102: 1, powerOn: true }).unknownFields).toBeUndefined();
+    });
+
+    it('merges unknown fields', () => {
+      const existing = { unknownFields: { D03130: 7 } };
+      const result = mergeStatus(existing, { unknownFields: { D03131: 1 } });
+      expect(result.unknownFields).toEqual({ D03130: 7, D03131: 1 });
+    });
+  });
+
+  describe('display light', () => {
+    it('prefers D0310D over D03105 when both are reported', () => {
+      expect(parseReportedState({ D03105: 100 }).displayLight).toBe(100);
+      expect(parseReportedState({ D03105: 100, D0310D: 40 }).displayLight).toBe(40);
+    });
+
+    it('writes display light to D03105', () => {
+      expect(buildDesiredState({ displayLight: 40 })).toEqual({ D03105: 40 });
+    });
+  });
+
+  describe('display sensor', () => {
+    it('parses D0312B into a sensor name', () => {
+      expect(parseReportedState({ D0312B: 0 }).displaySensor).toBe('iai');
+      expect(parseReportedState({ D0312B: 1 }).displaySensor).toBe('pm25');
+      expect(parseReportedState({ D0312B: 2 }).displaySensor).toBe('humidity');
+      expect(parseReportedState({ D0312B: 7 }).displaySensor).toBe('sensor_7');
+    });
+
+    it('builds display sensor state', () => {
+      expect(buildDesiredState({ displaySensor: 'humidity' })).toEqual({ D0312B: 2 });
+      expect(buildDesiredState({ displaySensor: 'PM25' })).toEqual({ D0312B: 1 });
+      expect(buildDesiredState({ displaySensor: 'co2' })).toEqual({});
+    });
+  });
+
+  describe('Apollo heater', () => {
+    const apollo = getCapabilities({ model: 'CX5120/10' });
+
+    it('parses heater modes and target temperature', () => {
+      const result = parseReportedState({ D0310C: 65, D0310E: 22, D03224: 195 }, apollo);
+
+      expect(result.mode).toBe('heat_high');
+      expect(result.heating).toBe(true);
+      expect(result.targetTemperature).toBe(22);
+      expect(result.temperature).toBe(19.5);
+    });
+
+    it('parses fan-only mode as not heating', () => {
+      const result = parseReportedState({ D0310C: 127 }, apollo);
+
+      expect(result.mode).toBe('fan');
+      expect(result.heating).toBe(false);
+    });
+
+    it('detects the model from the document when no capabilities are given', () => {
+      expect(parseReportedState({ D01S04: 'Apollo', D0310C: 66 }).mode).toBe('heat_low');
+      expect(parseReportedState({ D0310C: 66 }).mode).toBe('mode_66');
+    });
+
+    it('omits heating flag for models without a heater', () => {
+      expect(parseReportedState({ D0310C: 0 }).heating).toBeUndefined();
+    });
+
+    it('builds heater modes', () => {
+      expect(buildDesiredState({ mode: 'heat_low' }, apollo)).toEqual({ D0310C: 66 });
+      expect(buildDesiredState({ mode: 'fan' }, apollo)).toEqual({ D0310C: 127 });
+    });
+
+    it('does not write the unverified target temperature DID', () => {
+      expect(buildDesiredState({ targetTemperature: 22 }, apollo)).toEqual({});
+    });
+
+    it('ignores target temperature for models without a heater', () => {
+      const carnation = getCapabilities({ model: 'AC3737' });
+      expect(buildDesiredState({ targetTemperature: 22 }, carnation)).toEqual({});
+    });
+  });
+
+  describe('parseReportedState (v2)', () => {
+    it('parses power', () => {
+      expect(parseReportedState({ 'D03-02': 'ON' }).power).toBe(true);
+      expect(parseReportedState({ 'D03-02': 'OFF' }).power).toBe(false);
+    });
+
+    it('parses mode strings', () => {
+      expect(parseReportedState({ 'D03-12': 'Auto General' }).mode).toBe('auto');
+      expect(parseReportedState({ 'D03-12': 'Sleep' }).mode).toBe('sleep');
+      expect(parseReportedState({ 'D03-12': 'Turbo' }).mode).toBe('turbo');
+      expect(parseReportedState({ 'D03-12': 'Auto General' }).modeRaw).toBe('Auto General');
+    });
+
+    it('parses manual fan speed', () => {
+      const speed1 = parseReportedState({ 'D03-12': 'Gentle/Speed 1' });
+      expect(speed1.mode).toBe('manual');
+      expect(speed1.fanSpeed).toBe(1);
+      expect(parseReportedState({ 'D03-12': 'Speed 2' }).fanSpeed).toBe(2);
+    });
+
+    it('parses sensors', () => {
+      const result = parseReportedState({ 'D03-33': 12, 'D03-37': 45, 'D03-32': 3 });
+      expect(result.protocolVersion).toBe(2);
+      expect(result.pm25).toBe(12);
+      expect(result.humidity).toBe(45);
+      expect(result.airQualityIndex).toBe(3);
+    });
+
+    it('parses filters', () => {
+      const result = parseReportedState({
+        'D05-13': 180,
+        'D05-07': 360,
+        'D05-14': 2400,
+        'D05-08': 4800,
+      });
+
+      expect(result.filter.cleanRemaining).toBe(180);
+      expect(result.filter.cleanPercent).toBe(50);
+      expect(result.filter.replaceRemaining).toBe(2400);
+      expect(result.filter.replacePercent).toBe(50);
+    });
+  });
+
+  describe('buildDesiredState (v3)', () => {
+    it('defaults to v3 DIDs', () => {
+      expect(buildDesiredState({ power: true, mode: 'sleep' })).toEqual({
+        D03102: 1,
+        D0310C: 17,
+      });
+    });
+
+    it('encodes manual fan speed in mode code', () => {
+      expect(buildDesiredState({ mode: 'manual', fanSpeed: 2 }, { protocolVersion: 3 })).toEqual({
+        D0310C: 2,
+      });
+    });
+
+    it('clamps fan speed to the model range', () => {
+      const carnation = getCapabilities({ model: 'AC3737/10' });
+      expect(buildDesiredState({ fanSpeed: 3 }, carnation)).toEqual({ D0310C: 2 });
+      expect(buildDesiredState({ fanSpeed: 0 }, carnation)).toEqual({ D0310C: 1 });
+    });
+
+    it('allows the full protocol range for unknown models', () => {
+      const unknown = getCapabilities({ model: 'XX9999', protocolVersion: 3 });
+      expect(buildDesiredState({ fanSpeed: 5 }, unknown)).toEqual({ D0310C: 5 });
+      expect(buildDesiredState({ fanSpeed: 20 }, unknown)).toEqual({ D0310C: 16 });
+    });
+  });
+
+  describe('buildDesiredState (v2)', () => {
+    const v2 = { protocolVersion: 2 };
+
+    it('builds power state', () => {
+      expect(buildDesiredState({ power: true }, v2)).toEqual({ 'D03-02': 'ON' });
+      expect(buildDesiredState({ power: false }, v2)).toEqual({ 'D03-02': 'OFF' });
+    });
+
+    it('builds mode state', () => {
+      expect(buildDesiredState({ mode: 'auto' }, v2)).toEqual({ 'D03-12': 'Auto General' });
+      expect(buildDesiredState({ mode: 'sleep' }, v2)).toEqual({ 'D03-12': 'Sleep' });
+      expect(buildDesiredState({ mode: 'turbo' }, v2)).toEqual({ 'D03-12': 'Turbo' });
+    });
+
+    it('builds manual fan speed', () => {
+      expect(buildDesiredState({ fanSpeed: 1 }, v2)).toEqual({ 'D03-12': 'Gentle/Speed 1' });
+      expect(buildDesiredState({ mode: 'manual', fanSpeed: 2 }, v2)).toEqual({
+        'D03-12': 'Speed 2',
+      });
+    });
+
+    it('builds target humidity state', () => {
+      expect(buildDesiredState({ targetHumidity: 50 }, v2)).toEqual({ 'D03-40': 50 });
+    });
+  });
+
+  describe('field timestamps', () => {
+    const shadow = {
+      state: {
+        reported: {
+          D03102: 1,
+          D0310C: 0,
+          D03221: 12,
+          D03125: 45,
+          D0520D: 300,
+          D0540E: 4000,
+          D05102: 3,
+        },
+      },
+      metadata: {
+        reported: {
+          D03102: { timestamp: 1700000100 },
+          D0310C: { timestamp: 1700000100 },
+          D03221: { timestamp: 1700000500 },
+          D03125: { timestamp: 1700000200 },
+          D0520D: { timestamp: 1700000300 },
+          D0540E: { timestamp: 1700000400 },
+          D05102: { timestamp: 1700000350 },
+        },
+      },
+      timestamp: 1700000600,
+    };
+
+    it('sets updatedAt per field from shadow metadata', () => {
+      const { reported } = parseShadow(shadow);
+
+      expect(reported.updatedAt).toEqual({
+        power: 1700000100000,
+        mode: 1700000100000,
+        pm25: 1700000500000,
+        humidity: 1700000200000,
+      });
+    });
+
+    it('uses the newest filter hours or flags time for each filter', () => {
+      const { reported } = parseShadow(shadow);
+
+      expect(reported.filters.prefilter.updatedAt).toBe(1700000350000);
+      expect(reported.filters.hepa.updatedAt).toBe(1700000400000);
+    });
+
+    it('falls back to the document timestamp for keys without metadata', () => {
+      const { reported } = parseShadow({
+        state: { reported: { D03102: 1, D03224: 215 } },
+        metadata: { reported: { D03102: { timestamp: 1700000100 } } },
+        timestamp: 1700000600,
+      });
+
+      expect(reported.updatedAt.power).toBe(1700000100000);
+      expect(reported.updatedAt.temperature).toBe(1700000600000);
+    });
+
+    it('falls back to the parse time without metadata or timestamp', () => {
+      const before = Date.now();
+      const { reported } = parseShadow({ state: { reported: { pwr: '1', pm25: 8 } } });
+
+      expect(reported.updatedAt.pm25).toBeGreaterThanOrEqual(before);
+      expect(reported.updatedAt.power).toBe(reported.updatedAt.pm25);
+    });
+
+    it('keeps the newest time when several keys decode to one field', () => {
+      const { reported } = parseShadow({
+        state: { reported: { D03102: 1, D03105: 100, D0310D: 0 } },
+        metadata: {
+          reported: {
+            D03102: { timestamp: 1700000000 },
+            D03105: { timestamp: 1700000100 },
+            D0310D: { timestamp: 1700000900 },
+          },
+        },
+      });
+
+      expect(reported.updatedAt.displayLight).toBe(1700000900000);
     });
   });
 
@@ -278,6 +738,15 @@ describe('parser', () => {
       expect(result.filter.replaceRemaining).toBe(2400);
     });
 
+    it('merges field timestamps', () => {
+      const existing = { updatedAt: { pm25: 1000, humidity: 1000 } };
+      const update = { updatedAt: { pm25: 2000 } };
+
+      const result = mergeStatus(existing, update);
+
+      expect(result.updatedAt).toEqual({ pm25: 2000, humidity: 1000 });
+    });
+
     it('adds timestamp', () => {
       const before = Date.now();
       const result = mergeStatus({}, {});
@@ -297,4 +766,45 @@ describe('parser', () => {
       expect(result.fanSpeed).toBe(8);
     });
   });
+
+  describe('diffStatus', () => {
+    it('lists changed normalized fields', () => {
+      const previous = { power: true, mode: 'auto', pm25: 5 };
+      const next = { power: true, mode: 'turbo', pm25: 5, humidity: 40 };
+
+      expect(diffStatus(previous, next)).toEqual(['mode', 'humidity']);
+    });
+
+    it('ignores raw documents and update times', () => {
+      const previous = {
+        pm25: 5,
+        raw: { D03221: 5, Runtime: 100 },
+        timestamp: 1000,
+        updatedAt: { pm25: 1000 },
+        filters: { hepa: { remaining: 4000, updatedAt: 1000 } },
+      };
+      const next = {
+        pm25: 5,
+        raw: { D03221: 5, Runtime: 200 },
+        timestamp: 2000,
+        updatedAt: { pm25: 2000 },
+        filters: { hepa: { remaining: 4000, updatedAt: 2000 } },
+      };
+
+      expect(diffStatus(previous, next)).toEqual([]);
+    });
+
+    it('ignores presence, which is emitted on its own', () => {
+      expect(diffStatus({ pm25: 5, presence: 'stale' }, { pm25: 5, presence: 'online' })).toEqual(
+        []
+      );
+    });
+
+    it('compares nested values', () => {
+      const previous = { filters: { hepa: { remaining: 4000 } } };
+      const next = { filters: { hepa: { remaining: 3999 } } };
+
+      expect(diffStatus(previous, next)).toEqual(['filters']);
+    });
+  });
 });
@@ -0,0 +1,107 @@
+/**
+ * Tests for device presence module.
+ */
+
+const { createPresenceTracker } = require('../lib/presence');
+
+describe('presence', () => {
+  describe('createPresenceTracker', () => {
+    let onChange;
+    let tracker;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      onChange = jest.fn();
+      tracker = createPresenceTracker({ staleAfter: 60000, onChange });
+    });
+
+    afterEach(() => {
+      tracker.clear();
+      jest.useRealTimers();
+    });
+
+    it('is unknown before the first document', () => {
+      expect(tracker.get('dev-1')).toBe('unknown');
+    });
+
+    it('is online after shadow traffic', () => {
+      expect(tracker.observe('dev-1', true)).toBe('online');
+      expect(onChange).toHaveBeenCalledWith('dev-1', 'online', 'unknown');
+    });
+
+    it('counts documents without a connected flag as online', () => {
+      expect(tracker.observe('dev-1', undefined)).toBe('online');
+    });
+
+    it('goes offline when the cloud reports the device disconnected', () => {
+      tracker.observe('dev-1', true);
+
+      expect(tracker.observe('dev-1', false)).toBe('offline');
+      expect(onChange).toHaveBeenLastCalledWith('dev-1', 'offline', 'online');
+    });
+
+    it('reports only transitions', () => {
+      tracker.observe('dev-1', true);
+      tracker.observe('dev-1', true);
+
+      expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('goes stale without shadow traffic', () => {
+      tracker.observe('dev-1', true);
+      jest.advanceTimersByTime(59999);
+      expect(tracker.get('dev-1')).toBe('online');
+
+      jest.advanceTimersByTime(1);
+
+      expect(tracker.get('dev-1')).toBe('stale');
+      expect(onChange).toHaveBeenLastCalledWith('dev-1', 'stale', 'online');
+    });
+
+    it('restarts the stale timer on every document', () => {
+      tracker.observe('dev-1', true);
+      jest.advanceTimersByTime(40000);
+      tracker.observe('dev-1', true);
+      jest.advanceTimersByTime(40000);
+
+      expect(tracker.get('dev-1')).toBe('online');
+    });
+
+    it('comes back online after going stale', () => {
+      tracker.observe('dev-1', true);
+      jest.advanceTimersByTime(60000);
+
+      tracker.observe('dev-1', true);
+
+      expect(onChange).toHaveBeenLastCalledWith('dev-1', 'online', 'stale');
+    });
+
+    it('keeps offline devices offline when they stay silent', () => {
+      tracker.observe('dev-1', false);
+      jest.advanceTimersByTime(60000);
+
+      expect(tracker.get('dev-1')).toBe('offline');
+    });
+
+    it('never goes stale with the check disabled', () => {
+      tracker = createPresenceTracker({ staleAfter: 0, onChange });
+      tracker.observe('dev-1', true);
+
+      jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+
+      expect(tracker.get('dev-1')).toBe('online');
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('forgets a device without an event', () => {
+      tracker.observe('dev-1', true);
+      onChange.mockClear();
+
+      tracker.forget('dev-1');
+      jest.advanceTimersByTime(60000);
+
+      expect(tracker.get('dev-1')).toBe('unknown');
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+});
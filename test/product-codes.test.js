@@ -0,0 +1,55 @@
+/**
+ * Tests for product codes module.
+ */
+
+const { decodeProductError, decodeProductState } = require('../lib/product-codes');
+
+describe('product-codes', () => {
+  describe('decodeProductError', () => {
+    it('returns null when there is no error', () => {
+      expect(decodeProductError(null)).toBeNull();
+      expect(decodeProductError(undefined)).toBeNull();
+      expect(decodeProductError(0)).toBeNull();
+      expect(decodeProductError('0')).toBeNull();
+    });
+
+    it('decodes known codes', () => {
+      expect(decodeProductError(32768)).toEqual({
+        code: 32768,
+        message: 'Water tank open',
+        severity: 'warning',
+      });
+      expect(decodeProductError(49155).severity).toBe('info');
+    });
+
+    it('accepts codes reported as strings', () => {
+      expect(decodeProductError('49408').message).toBe('Water tank empty');
+    });
+
+    it('keeps unknown codes with a generic message', () => {
+      expect(decodeProductError(1234)).toEqual({
+        code: 1234,
+        message: 'Unknown error 1234',
+        severity: 'warning',
+      });
+    });
+  });
+
+  describe('decodeProductState', () => {
+    it('returns null when not reported', () => {
+      expect(decodeProductState(null)).toBeNull();
+    });
+
+    it('decodes known states', () => {
+      expect(decodeProductState('running')).toEqual({
+        code: 'running',
+        message: 'Running',
+        severity: 'info',
+      });
+    });
+
+    it('keeps unknown states', () => {
+      expect(decodeProductState('updating').message).toBe('Unknown state updating');
+    });
+  });
+});
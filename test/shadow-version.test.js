@@ -0,0 +1,101 @@
+/**
+ * Tests for shadow version tracking module.
+ */
+
+const { createVersionTracker } = require('../lib/shadow-version');
+
+describe('shadow-version', () => {
+  describe('createVersionTracker', () => {
+    let time;
+    let tracker;
+
+    beforeEach(() => {
+      time = 1000000;
+      tracker = createVersionTracker({ resyncInterval: 30000, now: () => time });
+    });
+
+    it('accepts increasing versions', () => {
+      expect(tracker.observe('dev-1', 5)).toEqual({ accept: true, resync: false });
+      expect(tracker.observe('dev-1', 6)).toEqual({ accept: true, resync: false });
+      expect(tracker.getStats('dev-1').version).toBe(6);
+    });
+
+    it('accepts the same version again', () => {
+      tracker.observe('dev-1', 5);
+
+      expect(tracker.observe('dev-1', 5).accept).toBe(true);
+    });
+
+    it('discards older versions and counts them', () => {
+      tracker.observe('dev-1', 10);
+
+      expect(tracker.observe('dev-1', 9, { snapshot: true })).toEqual({
+        accept: false,
+        resync: false,
+      });
+      expect(tracker.getStats('dev-1')).toMatchObject({ version: 10, discarded: 1 });
+    });
+
+    it('accepts documents without a version', () => {
+      tracker.observe('dev-1', 10);
+
+      expect(tracker.observe('dev-1', undefined).accept).toBe(true);
+      expect(tracker.getStats('dev-1').version).toBe(10);
+    });
+
+    it('requests a resync when versions are skipped', () => {
+      tracker.observe('dev-1', 5);
+
+      expect(tracker.observe('dev-1', 8)).toEqual({ accept: true, resync: true });
+      expect(tracker.getStats('dev-1')).toMatchObject({
+        version: 8,
+        gaps: 1,
+        resyncs: 1,
+        lastResyncAt: 1000000,
+      });
+    });
+
+    it('does not check gaps on snapshots', () => {
+      tracker.observe('dev-1', 5);
+
+      expect(tracker.observe('dev-1', 20, { snapshot: true })).toEqual({
+        accept: true,
+        resync: false,
+      });
+      expect(tracker.getStats('dev-1').gaps).toBe(0);
+    });
+
+    it('rate limits resyncs per device', () => {
+      tracker.observe('dev-1', 1);
+      tracker.observe('dev-1', 3);
+
+      time += 10000;
+      expect(tracker.observe('dev-1', 5).resync).toBe(false);
+      expect(tracker.observe('dev-2', 1).resync).toBe(false);
+      expect(tracker.observe('dev-2', 3).resync).toBe(true);
+
+      time += 20000;
+      expect(tracker.observe('dev-1', 7).resync).toBe(true);
+      expect(tracker.getStats('dev-1')).toMatchObject({ gaps: 3, resyncs: 2 });
+    });
+
+    it('forgets the version on reset but keeps counters', () => {
+      tracker.observe('dev-1', 10);
+      tracker.observe('dev-1', 9);
+      tracker.reset('dev-1');
+
+      expect(tracker.observe('dev-1', 1)).toEqual({ accept: true, resync: false });
+      expect(tracker.getStats('dev-1')).toMatchObject({ version: 1, discarded: 1 });
+    });
+
+    it('reports empty stats for unseen devices', () => {
+      expect(tracker.getStats('dev-9')).toEqual({
+        version: null,
+        discarded: 0,
+        gaps: 0,
+        resyncs: 0,
+        lastResyncAt: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for control payload validation module.
+ */
+
+const { validateControl, dropUnsupported } = require('../lib/validation');
+const { getCapabilities } = require('../lib/models');
+
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+function codeOf(fn) {
+  const err = errorOf(fn);
+  return err ? err.code : null;
+}
+
+describe('validation', () => {
+  const carnation = getCapabilities({ model: 'AC3737/10' });
+  const apollo = getCapabilities({ model: 'CX5120' });
+  const v1 = getCapabilities({ protocolVersion: 1 });
+  const v2 = getCapabilities({ protocolVersion: 2 });
+
+  describe('validateControl', () => {
+    it('accepts valid payloads', () => {
+      expect(() =>
+        validateControl(
+          {
+            power: true,
+            mode: 'manual',
+            fanSpeed: 2,
+            targetHumidity: 50,
+            childLock: false,
+            displayLight: 100,
+            displaySensor: 'pm25',
+            function: 'purify_humidify',
+          },
+          carnation
+        )
+      ).not.toThrow();
+    });
+
+    it('rejects unknown properties', () => {
+      expect(codeOf(() => validateControl({ colour: 'red' }, carnation))).toBe('UNSUPPORTED_FIELD');
+    });
+
+    it('rejects properties the protocol cannot write', () => {
+      expect(codeOf(() => validateControl({ displaySensor: 'iai' }, v2))).toBe('UNSUPPORTED_FIELD');
+    });
+
+    it('rejects fan speeds outside the model range', () => {
+      const err = errorOf(() => validateControl({ fanSpeed: 3 }, carnation));
+      expect(err.code).toBe('OUT_OF_RANGE');
+      expect(err.field).toBe('fanSpeed');
+      expect(err.message).toContain('1-2');
+    });
+
+    it('rejects target humidity outside 40-70', () => {
+      expect(codeOf(() => validateControl({ targetHumidity: 80 }, carnation))).toBe('OUT_OF_RANGE');
+      expect(codeOf(() => validateControl({ targetHumidity: 30 }, carnation))).toBe('OUT_OF_RANGE');
+    });
+
+    it('requires fanSpeed for manual mode on v3 and v2', () => {
+      expect(codeOf(() => validateControl({ mode: 'manual' }, carnation))).toBe(
+        'MISSING_FAN_SPEED'
+      );
+      expect(codeOf(() => validateControl({ mode: 'manual' }, v2))).toBe('MISSING_FAN_SPEED');
+      expect(codeOf(() => validateControl({ mode: 'manual' }, v1))).toBeNull();
+    });
+
+    it('rejects fanSpeed combined with a non-manual mode', () => {
+      expect(codeOf(() => validateControl({ mode: 'auto', fanSpeed: 1 }, carnation))).toBe(
+        'INVALID_VALUE'
+      );
+      expect(codeOf(() => validateControl({ mode: 'auto', fanSpeed: 2 }, v1))).toBeNull();
+    });
+
+    it('rejects modes the model does not offer', () => {
+      expect(codeOf(() => validateControl({ mode: 'turbo' }, apollo))).toBe('INVALID_VALUE');
+      expect(codeOf(() => validateControl({ mode: 'heat_low' }, apollo))).toBeNull();
+    });
+
+    it('accepts raw v1 mode letters', () => {
+      expect(codeOf(() => validateControl({ mode: 'M' }, v1))).toBeNull();
+    });
+
+    it('rejects wrong value types', () => {
+      expect(codeOf(() => validateControl({ power: 'yes' }, carnation))).toBe('INVALID_VALUE');
+      expect(codeOf(() => validateControl({ targetHumidity: 'high' }, carnation))).toBe(
+        'INVALID_VALUE'
+      );
+      expect(codeOf(() => validateControl({ displaySensor: 'co2' }, carnation))).toBe(
+        'INVALID_VALUE'
+      );
+    });
+
+    it('rejects controls the model does not have', () => {
+      expect(codeOf(() => validateControl({ targetTemperature: 22 }, carnation))).toBe(
+        'UNSUPPORTED_FIELD'
+      );
+      expect(codeOf(() => validateControl({ fanSpeed: 1 }, apollo))).toBe('UNSUPPORTED_FIELD');
+      expect(codeOf(() => validateControl({ function: 'purify' }, apollo))).toBe(
+        'UNSUPPORTED_FIELD'
+      );
+    });
+
+    it('rejects heater target temperature while its DID is unverified', () => {
+      expect(codeOf(() => validateControl({ targetTemperature: 22 }, apollo))).toBe(
+        'UNSUPPORTED_FIELD'
+      );
+    });
+
+    it('rejects the purify function while its code is unverified', () => {
+      const err = errorOf(() => validateControl({ function: 'purify' }, carnation));
+      expect(err.code).toBe('INVALID_VALUE');
+      expect(err.field).toBe('function');
+    });
+
+    it('rejects target humidity in purify-only function', () => {
+      const status = { function: 'purify' };
+      expect(codeOf(() => validateControl({ targetHumidity: 50 }, carnation, { status }))).toBe(
+        'UNSUPPORTED_FIELD'
+      );
+      expect(
+        codeOf(() =>
+          validateControl({ function: 'purify_humidify', targetHumidity: 50 }, carnation, {
+            status,
+          })
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe('dropUnsupported', () => {
+    it('keeps supported properties and leaves values to clamp', () => {
+      const options = { power: true, mode: 'manual', fanSpeed: 5, targetHumidity: 90 };
+      expect(dropUnsupported(options, carnation)).toEqual({ options, dropped: [] });
+    });
+
+    it('drops the purify function while its code is unverified', () => {
+      expect(dropUnsupported({ function: 'purify', targetHumidity: 50 }, carnation)).toEqual({
+        options: { targetHumidity: 50 },
+        dropped: ['function'],
+      });
+    });
+
+    it('drops targetHumidity in purify-only function', () => {
+      expect(
+        dropUnsupported({ targetHumidity: 50 }, carnation, { status: { function: 'purify' } })
+      ).toEqual({ options: {}, dropped: ['targetHumidity'] });
+    });
+
+    it('drops controls the model does not have', () => {
+      expect(
+        dropUnsupported({ function: 'purify_humidify', targetHumidity: 50 }, apollo).dropped
+      ).toEqual(['function', 'targetHumidity']);
+    });
+
+    it('drops unsupported modes with the fan speed encoded in them', () => {
+      expect(dropUnsupported({ mode: 'turbo2', fanSpeed: 2 }, carnation).dropped).toEqual([
+        'mode',
+        'fanSpeed',
+      ]);
+      expect(dropUnsupported({ mode: 'Z', fanSpeed: 2 }, v1)).toEqual({
+        options: { fanSpeed: 2 },
+        dropped: ['mode'],
+      });
+    });
+  });
+});